@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Uploaded content stored once in uploads/, keyed by the sha256 of the bytes as
+// uploaded (before image optimization, so clients can hash their local file).
+// Every File record for the same content points here; refCount counts them.
+const blobSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Size of the content as uploaded
+  size: {
+    type: Number,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Size of the stored (optimized) file
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  thumbnailPath: {
+    type: String,
+    default: null
+  },
+  thumbnailFileName: {
+    type: String,
+    default: null
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  // Video processing (utils/mediaJobs.js): none for other files
+  processingStatus: {
+    type: String,
+    enum: ['none', 'pending', 'processing', 'ready', 'failed'],
+    default: 'none'
+  },
+  // Seconds, for videos once processed
+  duration: {
+    type: Number,
+    default: null
+  },
+  // H.264/AAC copy for mobile playback, when the original is not suitable
+  rendition: {
+    fileName: String,
+    filePath: String,
+    mimeType: String,
+    fileSize: Number
+  },
+  refCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+blobSchema.index({ fileName: 1 });
+
+module.exports = mongoose.model('Blob', blobSchema);
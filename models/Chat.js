@@ -20,6 +20,26 @@ const chatSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Disappearing messages: new messages expire this many seconds after sending (null = off)
+  messageTtlSeconds: {
+    type: Number,
+    default: null
+  },
+  // Pinned messages, oldest pin first (capped by MAX_PINNED_MESSAGES)
+  pinnedMessages: [{
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -31,6 +51,7 @@ const chatSchema = new mongoose.Schema({
 });
 
 chatSchema.index({ participants: 1 });
+chatSchema.index({ participants: 1, updatedAt: -1, _id: -1 });
 
 chatSchema.pre('save', function (next) {
   if (!this.encryptionKey) {
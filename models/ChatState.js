@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Per-user state of a chat: read cursor, unread counter, chat list preferences and draft
+const chatStateSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Newest message the user has read, and its createdAt (the cursor position)
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  lastReadMessageAt: {
+    type: Date,
+    default: null
+  },
+  // When the user last moved the cursor
+  readAt: {
+    type: Date,
+    default: null
+  },
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  // Chat list preferences
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  mutedUntil: {
+    type: Date,
+    default: null
+  },
+  // Unsent text, shared across the user's devices (last write wins on updatedAt)
+  draft: {
+    content: {
+      type: String,
+      default: ''
+    },
+    encryption: {
+      alg: String,
+      iv: String,
+      tag: String,
+      version: Number,
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Whether a new message moves an archived chat back to the inbox
+  unarchiveOnNewMessage: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+chatStateSchema.index({ chat: 1, user: 1 }, { unique: true });
+chatStateSchema.index({ user: 1 });
+
+module.exports = mongoose.model('ChatState', chatStateSchema);
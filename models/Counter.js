@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Named sequence, incremented atomically with $inc (e.g. 'sync-events' numbers
+// the sync log, so every server process hands out increasing positions)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
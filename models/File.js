@@ -37,6 +37,39 @@ const fileSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // Video processing (utils/mediaJobs.js): none for other files
+  processingStatus: {
+    type: String,
+    enum: ['none', 'pending', 'processing', 'ready', 'failed'],
+    default: 'none'
+  },
+  // Seconds, for videos once processed
+  duration: {
+    type: Number,
+    default: null
+  },
+  // H.264/AAC copy for mobile playback, when the original is not suitable
+  rendition: {
+    fileName: String,
+    filePath: String,
+    mimeType: String,
+    fileSize: Number
+  },
+  // Stored content shared with other uploads of the same bytes (see models/Blob.js)
+  blob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blob',
+    default: null
+  },
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // Created by check-hash (utils/blobs.js): the user only showed the hash, not the content
+  claimedByHash: {
+    type: Boolean,
+    default: false
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -53,5 +86,11 @@ const fileSchema = new mongoose.Schema({
   }
 });
 
+fileSchema.index({ blob: 1, createdAt: 1 });
+// Access checks for /uploads/<name> (utils/fileAccess.js)
+fileSchema.index({ fileName: 1 });
+fileSchema.index({ thumbnailFileName: 1 }, { partialFilterExpression: { thumbnailFileName: { $type: 'string' } } });
+fileSchema.index({ 'rendition.fileName': 1 }, { partialFilterExpression: { 'rendition.fileName': { $type: 'string' } } });
+
 module.exports = mongoose.model('File', fileSchema);
 
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Open Graph data fetched for a URL, shared by every message linking to it.
+// Failed fetches are cached too (for a shorter time) so a dead link is not retried on every message.
+const linkPreviewSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['ready', 'failed'],
+    required: true
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  siteName: {
+    type: String,
+    default: null
+  },
+  // Remote og:image; the copy under /uploads is in `image`
+  imageSourceUrl: {
+    type: String,
+    default: null
+  },
+  image: {
+    url: String,
+    thumbnailUrl: String,
+    width: Number,
+    height: Number,
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+linkPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LinkPreview', linkPreviewSchema);
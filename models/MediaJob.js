@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Background processing of an uploaded video (poster frame, probe, optional
+// transcode), run by utils/mediaJobs.js. One job per stored blob: every File
+// sharing the content gets the result.
+const mediaJobSchema = new mongoose.Schema({
+  blob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blob',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // queued -> running -> completed, or failed once retries are used up
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Not picked up before this (retry backoff)
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mediaJobSchema.index({ status: 1, runAfter: 1 });
+mediaJobSchema.index({ blob: 1 });
+
+module.exports = mongoose.model('MediaJob', mediaJobSchema);
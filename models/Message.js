@@ -21,11 +21,30 @@ const messageSchema = new mongoose.Schema({
     tag: String,
     version: Number,
   },
+  // ID generated by the sending device; a resend with the same ID returns the original message
+  clientMessageId: {
+    type: String,
+    default: undefined
+  },
   type: {
     type: String,
-    enum: ['text', 'file', 'image', 'audio', 'video', 'call'],
+    enum: ['text', 'file', 'image', 'audio', 'video', 'call', 'system'],
     default: 'text'
   },
+  // What a 'system' message records (setting changed, member added, ...);
+  // `content` holds the rendered Vietnamese text for older clients
+  systemEvent: {
+    type: { type: String },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    targets: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    data: mongoose.Schema.Types.Mixed,
+  },
   file: {
     url: String,
     fileName: String,
@@ -35,13 +54,119 @@ const messageSchema = new mongoose.Schema({
     width: Number,
     height: Number,
     duration: Number, // For audio/video files
+    renditionUrl: String, // Transcoded copy of a video (utils/mediaJobs.js)
     batchId: String,
   },
+  // Open Graph preview of the first link in a text message, attached after sending
+  linkPreview: {
+    url: String,
+    title: String,
+    description: String,
+    siteName: String,
+    image: {
+      url: String,
+      thumbnailUrl: String,
+      width: Number,
+      height: Number,
+    },
+  },
+  // Original message this one was forwarded from
+  forwardedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  isForwarded: {
+    type: Boolean,
+    default: false
+  },
+  // Users mentioned in a group message; mentionsAll is @all
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mentionsAll: {
+    type: Boolean,
+    default: false
+  },
+  // Message being quoted/replied to
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+  },
   callHistory: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CallHistory',
     default: null,
   },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Earlier versions of content/encryption, oldest first
+  revisions: [{
+    content: String,
+    encryption: {
+      alg: String,
+      iv: String,
+      tag: String,
+      version: Number,
+    },
+    createdAt: Date,
+  }],
+  // One reaction per user; reacting again replaces the previous emoji
+  reactions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    emoji: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users who removed this message from their own view ("delete for me")
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set when the sender unsends the message for everyone (content and file are cleared)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the chat has disappearing messages on; purged by utils/disappearingMessages.js
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Recipients whose device confirmed receiving the message (socket ack or push)
+  deliveredTo: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // HMACs of the message's words (see utils/searchIndex.js)
+  searchTokens: {
+    type: [String],
+    select: false
+  },
   readBy: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -58,8 +183,27 @@ const messageSchema = new mongoose.Schema({
   }
 });
 
-messageSchema.index({ chat: 1, createdAt: -1 });
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ chat: 1, _id: 1 });
+messageSchema.index({ replyTo: 1, createdAt: 1 });
+messageSchema.index({ chat: 1, mentions: 1, createdAt: -1 });
+messageSchema.index({ chat: 1, searchTokens: 1 });
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+// Who may fetch an attachment (utils/fileAccess.js)
+messageSchema.index({ 'file.url': 1 }, { partialFilterExpression: { 'file.url': { $type: 'string' } } });
+messageSchema.index({ 'file.thumbnailUrl': 1 }, { partialFilterExpression: { 'file.thumbnailUrl': { $type: 'string' } } });
+messageSchema.index(
+  { chat: 1, sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+
+// Never send the search index to clients
+const hideSearchTokens = (doc, ret) => {
+  delete ret.searchTokens;
+  return ret;
+};
+messageSchema.set('toObject', { transform: hideSearchTokens });
+messageSchema.set('toJSON', { transform: hideSearchTokens });
 
 module.exports = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// A message written now and sent later by the runner in utils/scheduledMessages.js
+const scheduledMessageSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  encryption: {
+    alg: String,
+    iv: String,
+    tag: String,
+    version: Number,
+  },
+  type: {
+    type: String,
+    enum: ['text', 'file', 'image', 'audio', 'video'],
+    default: 'text'
+  },
+  file: {
+    url: String,
+    fileName: String,
+    fileSize: Number,
+    mimeType: String,
+    thumbnailUrl: String,
+    width: Number,
+    height: Number,
+    duration: Number,
+    batchId: String,
+  },
+  previewText: String,
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  // pending -> sending -> sent, or failed after too many attempts, or cancelled by the sender
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Set when a runner claims the job; a stale lock means that runner died mid-delivery
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Not retried before this (backoff after a failed attempt)
+  runAfter: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // The delivered message
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ chat: 1, sender: 1, status: 1, sendAt: 1 });
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// How long change events are kept for offline sync; older sync tokens need a full refetch
+const SYNC_RETENTION_DAYS = parseInt(process.env.SYNC_RETENTION_DAYS || '30', 10);
+
+// Change log read by GET /api/sync. An event is either chat-scoped (`chat` set,
+// visible to every participant) or user-scoped (`user` set, visible to that user only).
+const syncEventSchema = new mongoose.Schema({
+  // Position in the log (Counter 'sync-events'); sync tokens are positions
+  seq: {
+    type: Number,
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Events logged before positions were added have none
+syncEventSchema.index({ seq: 1 }, { unique: true, partialFilterExpression: { seq: { $type: 'number' } } });
+syncEventSchema.index({ chat: 1, seq: 1 });
+syncEventSchema.index({ user: 1, seq: 1 });
+syncEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: SYNC_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SyncEvent', syncEventSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A resumable (tus) upload in progress. Received bytes are appended to
+// `partialPath`; when `offset` reaches `length` the file is moved into uploads/
+// and gets a normal File record. Expired sessions are removed by utils/uploadSessions.js.
+const uploadSessionSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  // Raw Upload-Metadata header, echoed back on HEAD
+  metadata: {
+    type: String,
+    default: null
+  },
+  // Name the finished file gets in uploads/
+  fileName: {
+    type: String,
+    required: true
+  },
+  partialPath: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // uploading -> processing -> completed, or failed if the finished file could not be saved
+  status: {
+    type: String,
+    enum: ['uploading', 'processing', 'completed', 'failed'],
+    default: 'uploading'
+  },
+  // Set while a received part is being appended, so two PATCHes cannot interleave
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+uploadSessionSchema.index({ expiresAt: 1 });
+uploadSessionSchema.index({ uploadedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
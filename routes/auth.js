@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { canUseAsAvatar } = require('../utils/fileAccess');
 
 const router = express.Router();
 
@@ -239,6 +240,14 @@ router.put('/profile', auth, async (req, res) => {
       if (normalizedAvatar && !normalizedAvatar.startsWith('/')) {
         normalizedAvatar = `/${normalizedAvatar}`;
       }
+      // Avatars are public: never keep the query of a signed upload URL
+      if (normalizedAvatar) {
+        normalizedAvatar = normalizedAvatar.split(/[?#]/)[0];
+      }
+      // Setting an avatar makes the file public, so it has to be the caller's own upload
+      if (normalizedAvatar && normalizedAvatar !== user.avatar && !(await canUseAsAvatar(req.user._id, normalizedAvatar))) {
+        return res.status(400).json({ message: 'Avatar must be an image you uploaded' });
+      }
       user.avatar = normalizedAvatar;
     }
 
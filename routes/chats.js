@@ -5,41 +5,47 @@ const { body, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
-const CallHistory = require('../models/CallHistory');
 const { auth } = require('../middleware/auth');
-const { sendPushNotification, sendFcmNotification, sendApnsNotification } = require('../utils/pushNotifications');
-const { decryptMessageContent } = require('../utils/messageEncryption');
+const {
+  getChatForParticipant,
+  getChatMessage,
+  editMessage,
+  getMessageRevisions,
+  deleteMessage,
+  setMessageReaction,
+} = require('../utils/messageActions');
+const { sendChatMessage } = require('../utils/messageSender');
+const { REPLY_TO_POPULATE, formatMessageForClient } = require('../utils/messageFormatting');
+const { searchMessages } = require('../utils/messageSearch');
+const { signUploadUrl } = require('../utils/fileAccess');
+const { encodeMessageCursor, decodeMessageCursor, buildCursorCondition } = require('../utils/messageCursor');
+const {
+  markChatRead,
+  markMessagesDelivered,
+  buildReceiptContext,
+  getDeliveryStatus,
+  getMessageInfo,
+} = require('../utils/readState');
+const { recordMembershipChange } = require('../utils/syncLog');
+const {
+  createScheduledMessage,
+  listScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+} = require('../utils/scheduledMessages');
+const { setChatMessageTtl } = require('../utils/disappearingMessages');
+const { listPinnedMessages, pinMessage, unpinMessage } = require('../utils/pinnedMessages');
+const { forwardMessages } = require('../utils/messageForwarding');
+const { listUserChats } = require('../utils/chatList');
+const { updateChatPreferences } = require('../utils/chatPreferences');
+const { getDraft, saveDraft } = require('../utils/chatDrafts');
+const { listUnreadMentions } = require('../utils/mentions');
 
 const router = express.Router();
 
 // Log when routes are loaded (for debugging)
 console.log('✅ [ROUTES] Chats routes loaded - Media routes should be available');
 
-// Helper function to normalize file URL to relative path
-// Converts full URLs like http://172.20.10.3:3000/uploads/file.jpg to /uploads/file.jpg
-function normalizeFileUrl(url) {
-  if (!url) return url;
-  
-  // If it's already a relative path, return as is
-  if (url.startsWith('/')) {
-    return url;
-  }
-  
-  // If it's a full URL, extract the path
-  try {
-    const urlObj = new URL(url);
-    return urlObj.pathname;
-  } catch (e) {
-    // If URL parsing fails, try to extract path manually
-    const match = url.match(/\/uploads\/[^?#]+/);
-    if (match) {
-      return match[0];
-    }
-    // Fallback: return as is if we can't parse it
-    return url;
-  }
-}
-
 async function ensureChatEncryptionKey(chat) {
   if (!chat.encryptionKey) {
     chat.encryptionKey = crypto.randomBytes(32).toString('base64');
@@ -72,6 +78,7 @@ router.post('/admin-chat', auth, async (req, res) => {
         isGroup: false
       });
       await chat.save();
+      await recordMembershipChange(chat._id, chat.participants, 'added');
       await chat.populate('participants', 'phoneNumber role');
     }
     await ensureChatEncryptionKey(chat);
@@ -119,6 +126,7 @@ router.post('/chat-with-user', auth, [
         isGroup: false
       });
       await chat.save();
+      await recordMembershipChange(chat._id, chat.participants, 'added');
       await chat.populate('participants', 'phoneNumber role fullName avatar');
     }
     await ensureChatEncryptionKey(chat);
@@ -130,59 +138,82 @@ router.post('/chat-with-user', auth, [
   }
 });
 
-// Get all chats for current user
+// Get all chats for current user (inbox): last message preview, presence,
+// unread count and chat preferences. Pinned chats first; archived chats are hidden
+// unless ?archived=true|all; ?muted=true|false filters by mute.
+// Pass `limit` and/or `cursor` to page by updatedAt.
 router.get('/my-chats', auth, async (req, res) => {
   try {
-    const userId = req.user._id;
-
-    const chats = await Chat.find({
-      participants: userId
-    })
-    .populate('participants', 'phoneNumber role fullName avatar')
-    .populate('groupId', 'name code avatar')
-    .sort({ updatedAt: -1 });
-
-    const chatsWithKeys = await Promise.all(
-      chats.map((chat) => ensureChatEncryptionKey(chat))
-    );
-
-    // Get last message and unread count for each chat
-    const chatsWithDetails = await Promise.all(chatsWithKeys.map(async (chat) => {
-      // Get last message
-        const lastMessage = await Message.findOne({ chat: chat._id })
-          .populate('sender', 'phoneNumber role fullName avatar')
-          .sort({ createdAt: -1 })
-          .lean();
-
-      // Count unread messages (messages not read by current user)
-      const unreadCount = await Message.countDocuments({
-        chat: chat._id,
-        sender: { $ne: userId },
-        readBy: { $not: { $elemMatch: { user: userId } } }
-      });
+    const { limit, cursor, archived, muted } = req.query;
+    const result = await listUserChats({ userId: req.user._id, limit, cursor, archived, muted });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      // Count missed calls (calls where user is receiver and status is missed, last 7 days)
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-      const missedCallsCount = await CallHistory.countDocuments({
-        chat: chat._id,
-        receiver: userId,
-        status: 'missed',
-        createdAt: { $gte: sevenDaysAgo }
-      });
+// Forward messages to other chats: { messageIds, targetChatIds }
+router.post('/forward', auth, async (req, res) => {
+  try {
+    const { messageIds, targetChatIds } = req.body;
+    const result = await forwardMessages({
+      io: req.app.get('io'),
+      userId: req.user._id,
+      messageIds,
+      targetChatIds,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error forwarding messages:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-      return {
-        ...chat.toObject(),
-        lastMessage: lastMessage || null,
-        unreadCount,
-        missedCallsCount
-      };
-    }));
+// Unread messages mentioning the current user (directly or via @all), optionally in one chat
+router.get('/mentions/unread', auth, async (req, res) => {
+  try {
+    const { chatId, limit } = req.query;
+    const result = await listUnreadMentions({ userId: req.user._id, chatId, limit });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error loading unread mentions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    res.json(chatsWithDetails);
+// Search messages across the user's chats (or one chat with ?chatId=)
+// Query: q, chatId, senderId, type, from, to, limit, cursor
+router.get('/search', auth, async (req, res) => {
+  try {
+    const { q, chatId, senderId, type, from, to, limit, cursor } = req.query;
+    const result = await searchMessages({
+      userId: req.user._id,
+      q,
+      chatId,
+      senderId,
+      type,
+      from,
+      to,
+      limit,
+      cursor,
+    });
+    res.json(result);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error searching messages:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
@@ -208,6 +239,7 @@ router.get('/:chatId/media/count', auth, async (req, res) => {
     // Count images and videos
     const totalMedia = await Message.countDocuments({
       chat: chatId,
+      deletedFor: { $ne: userId },
       type: { $in: ['image', 'video'] },
       'file.url': { $exists: true, $ne: null }
     });
@@ -249,6 +281,7 @@ router.get('/:chatId/media', auth, async (req, res) => {
     const limitNum = parseInt(limit, 10);
     const query = {
       chat: chatId,
+      deletedFor: { $ne: userId },
       type: { $in: ['image', 'video'] },
       'file.url': { $exists: true, $ne: null }
     };
@@ -287,14 +320,14 @@ router.get('/:chatId/media', auth, async (req, res) => {
     // Format media items
     const mediaItems = result.map((msg) => ({
       _id: msg._id,
-      url: msg.file.url.startsWith('http') 
+      url: signUploadUrl(msg.file.url.startsWith('http') 
         ? msg.file.url 
         : msg.file.url.startsWith('/') 
           ? msg.file.url 
-          : `/${msg.file.url}`,
+          : `/${msg.file.url}`),
       type: msg.type,
       thumbnailUrl: msg.file.thumbnailUrl 
-        ? (msg.file.thumbnailUrl.startsWith('http') 
+        ? signUploadUrl(msg.file.thumbnailUrl.startsWith('http') 
             ? msg.file.thumbnailUrl 
             : msg.file.thumbnailUrl.startsWith('/')
               ? msg.file.thumbnailUrl
@@ -320,11 +353,16 @@ router.get('/:chatId/media', auth, async (req, res) => {
   }
 });
 
-// Get messages for a chat with pagination
+// Get messages for a chat with cursor pagination (messages are returned oldest first)
+// - no cursor: newest page
+// - direction=before|after&cursor=...: page older/newer than the cursor
+// - direction=around&cursor=... (or aroundMessageId): page centered on a message, for deep links
+// Legacy beforeMessageId/afterMessageId are still accepted in place of a cursor.
 router.get('/:chatId/messages', auth, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { limit = 30, beforeMessageId } = req.query; // Default 30 messages
+    const { limit = 30, cursor, beforeMessageId, afterMessageId, aroundMessageId } = req.query;
+    let { direction } = req.query;
     const userId = req.user._id;
 
     // Verify user is participant
@@ -338,200 +376,118 @@ router.get('/:chatId/messages', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const limitNum = parseInt(limit, 10);
-    const query = { chat: chatId };
-
-    // If beforeMessageId is provided, load messages before that message (for pagination)
-    if (beforeMessageId) {
-      const beforeMessage = await Message.findById(beforeMessageId);
-      if (beforeMessage) {
-        // CRITICAL: Use $lt (less than) to get messages BEFORE the beforeMessage
-        // Also exclude the beforeMessage itself to prevent duplicates
-        query.createdAt = { $lt: beforeMessage.createdAt };
-        query._id = { $ne: beforeMessageId }; // Exclude the beforeMessage itself
-      } else {
-        // If beforeMessage not found, return empty to prevent errors
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 30, 1), 100);
+    // Messages the user deleted for themselves are hidden from their history
+    const visibleQuery = { chat: chat._id, deletedFor: { $ne: userId } };
+
+    // Resolve the anchor position: an opaque cursor or a message id
+    let position = null;
+    const anchorMessageId = aroundMessageId || beforeMessageId || afterMessageId;
+    if (cursor) {
+      position = decodeMessageCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    } else if (anchorMessageId) {
+      direction = aroundMessageId ? 'around' : beforeMessageId ? 'before' : 'after';
+      const anchor = mongoose.Types.ObjectId.isValid(anchorMessageId)
+        ? await Message.findOne({ _id: anchorMessageId, chat: chat._id }).select('createdAt').lean()
+        : null;
+      if (!anchor) {
+        if (direction === 'around') {
+          return res.status(404).json({ message: 'Message not found' });
+        }
         return res.json({
           messages: [],
           hasMore: false,
-          total: await Message.countDocuments({ chat: chatId }),
+          hasMoreBefore: false,
+          hasMoreAfter: false,
+          total: await Message.countDocuments(visibleQuery),
         });
       }
+      position = { createdAt: anchor.createdAt, _id: anchor._id };
     }
 
-    // CRITICAL: Initial load must get NEWEST messages
-    // - Initial load (no beforeMessageId): Get NEWEST messages → sort newest first → reverse to oldest first
-    // - Load earlier (with beforeMessageId): Get OLDER messages → sort oldest first
-    if (!beforeMessageId) {
-      // Initial load: Get NEWEST messages using aggregation for better control
-      const totalCount = await Message.countDocuments({ chat: chatId });
-      
-      // Get the newest messages - use simple find with sort
-      // CRITICAL: Sort by createdAt: -1 (DESCENDING) to get NEWEST first
-      const messages = await Message.find(query)
-        .populate('sender', 'phoneNumber role fullName avatar')
-        .populate({
-          path: 'callHistory',
-          select: 'callType status duration startedAt',
-          options: { strictPopulate: false },
-        })
-        .sort({ createdAt: -1 }) // CRITICAL: -1 = DESCENDING = NEWEST first
-        .limit(limitNum + 1)
-        .lean();
-
-      const hasMore = messages.length > limitNum;
-      let result = hasMore ? messages.slice(0, limitNum) : messages;
-      
-      // Log BEFORE sort to verify we have newest messages
-      if (result.length > 0) {
-        const newestMsg = result[0]; // After sort -1, this should be newest
-        const oldestInBatch = result[result.length - 1]; // This should be oldest in the 30 newest
-        console.log('📥 BEFORE sort - After query with sort -1:');
-        console.log('  - Index 0 (should be NEWEST):', new Date(newestMsg.createdAt).toISOString(), 'ID:', String(newestMsg._id));
-        console.log('  - Last index (should be OLDEST in batch):', new Date(oldestInBatch.createdAt).toISOString(), 'ID:', String(oldestInBatch._id));
-        console.log('  - Total in DB:', totalCount, 'Returned:', result.length);
-        
-        // Check if all messages have same createdAt (this would be a problem)
-        const uniqueDates = new Set(result.map(m => new Date(m.createdAt).toISOString()));
-        if (uniqueDates.size === 1) {
-          console.error('❌ CRITICAL: All messages have the SAME createdAt!');
-          console.error('❌ This means we cannot determine which is newest/oldest!');
-          console.error('❌ All messages createdAt:', Array.from(uniqueDates)[0]);
-        }
-        
-        // Verify we actually got NEWEST messages
-        if (totalCount > limitNum) {
-          // We should have the 30 newest messages
-          // The first one (index 0) should be the newest in the entire chat
-          console.log('  - ✅ We have', totalCount, 'total messages, returning', result.length, 'newest ones');
-        }
-      }
-      
-      // At this point: result = [newest, msg2, msg3, ..., oldest in batch]
-      // Example: [msg100, msg99, msg98, ..., msg71] (30 newest messages)
-      
-      // Step 2: Sort to oldest first (ASCENDING) instead of reverse
-      // This is more reliable - sort directly by createdAt ASCENDING
-      // If createdAt is same, use _id as secondary sort
-      result.sort((a, b) => {
-        const timeA = new Date(a.createdAt).getTime();
-        const timeB = new Date(b.createdAt).getTime();
-        if (timeA !== timeB) {
-          return timeA - timeB; // ASCENDING = oldest first
-        }
-        // If createdAt is same, use _id for consistent ordering
-        return String(a._id).localeCompare(String(b._id));
-      });
-      
-      // Verify after sort
-      if (result.length > 0) {
-        const firstAfterSort = new Date(result[0].createdAt);
-        const lastAfterSort = new Date(result[result.length - 1].createdAt);
-        console.log('📥 AFTER sort - First (should be oldest):', firstAfterSort.toISOString());
-        console.log('📥 AFTER sort - Last (should be newest):', lastAfterSort.toISOString());
-        console.log('📥 AFTER sort - First ID:', String(result[0]._id));
-        console.log('📥 AFTER sort - Last ID:', String(result[result.length - 1]._id));
-        
-        if (lastAfterSort.getTime() < firstAfterSort.getTime()) {
-          console.error('❌ CRITICAL: After sort, last is OLDER than first!');
-          console.error('❌ This should never happen if sort worked correctly!');
-        } else if (lastAfterSort.getTime() === firstAfterSort.getTime()) {
-          console.warn('⚠️ WARNING: All messages have the SAME createdAt!');
-          console.warn('⚠️ This might indicate a problem with message creation or database');
-        } else {
-          console.log('✅ VERIFIED: After sort, order is correct (oldest first, newest last)');
-        }
-      }
-
-      // Remove duplicates
-      const uniqueMessages = [];
-      const seenIds = new Set();
-      for (const msg of result) {
-        const msgId = String(msg._id);
-        if (!seenIds.has(msgId)) {
-          seenIds.add(msgId);
-          uniqueMessages.push(msg);
-        }
-      }
-
-      // Final log and verification
-      if (uniqueMessages.length > 0) {
-        const firstDate = new Date(uniqueMessages[0].createdAt);
-        const lastDate = new Date(uniqueMessages[uniqueMessages.length - 1].createdAt);
-        console.log('📥 FINAL - Total messages in DB:', totalCount);
-        console.log('📥 FINAL - Returned count:', uniqueMessages.length);
-        console.log('📥 FINAL - First message (index 0, should be OLDEST):', firstDate.toISOString());
-        console.log('📥 FINAL - Last message (last index, should be NEWEST):', lastDate.toISOString());
-        console.log('📥 FINAL - Has more:', hasMore);
-        
-        // CRITICAL VERIFICATION: Last message MUST be newer than first message
-        if (lastDate.getTime() <= firstDate.getTime()) {
-          console.error('❌ CRITICAL ERROR: Last message is NOT newer than first message!');
-          console.error('❌ This means we loaded OLD messages instead of NEW messages!');
-          console.error('❌ First:', firstDate.toISOString());
-          console.error('❌ Last:', lastDate.toISOString());
-        } else {
-          console.log('✅ VERIFIED: Last message is newer than first - CORRECT!');
-          console.log('✅ Messages will be displayed: oldest at top, newest at bottom');
-        }
-      }
-
-      return res.json({
-        messages: uniqueMessages,
-        hasMore,
-        total: totalCount,
-      });
+    if (position && !['before', 'after', 'around'].includes(direction)) {
+      direction = 'before';
     }
 
-    // Load earlier: Get OLDER messages (sort by oldest first)
-    console.log('📤 Loading earlier messages - beforeMessageId:', beforeMessageId);
-    console.log('📤 Query:', JSON.stringify(query, null, 2));
-    
-    const messages = await Message.find(query)
+    const findPage = (condition, sortOrder, count) => Message.find({ ...visibleQuery, ...condition })
       .populate('sender', 'phoneNumber role fullName avatar')
       .populate({
         path: 'callHistory',
         select: 'callType status duration startedAt',
         options: { strictPopulate: false },
       })
-      .sort({ createdAt: 1 }) // Oldest first
-      .limit(limitNum + 1)
+      .populate(REPLY_TO_POPULATE)
+      .select('-revisions -deletedFor')
+      .sort({ createdAt: sortOrder, _id: sortOrder })
+      .limit(count + 1)
       .lean();
 
-    console.log('📤 Found', messages.length, 'messages older than beforeMessage');
-    
-    const hasMore = messages.length > limitNum;
-    let result = hasMore ? messages.slice(0, limitNum) : messages;
-    // No reverse needed - already oldest first
-    
-    // Log the result
-    if (result.length > 0) {
-      const firstMsg = result[0];
-      const lastMsg = result[result.length - 1];
-      console.log('📤 Load earlier result:');
-      console.log('  - First (oldest):', new Date(firstMsg.createdAt).toISOString(), 'ID:', String(firstMsg._id));
-      console.log('  - Last (newest in batch):', new Date(lastMsg.createdAt).toISOString(), 'ID:', String(lastMsg._id));
-      console.log('  - Total returned:', result.length);
-      console.log('  - Has more:', hasMore);
+    // Whether any visible message lies beyond `edge` in `dir` (optionally counting `edge` itself)
+    const existsBeyond = async (edge, dir, inclusive = false) => {
+      const condition = buildCursorCondition(edge, dir);
+      if (inclusive) {
+        condition.$or.push({ _id: edge._id });
+      }
+      return !!(await Message.exists({ ...visibleQuery, ...condition }));
+    };
+
+    let older = [];
+    let newer = [];
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+
+    if (!position) {
+      older = await findPage({}, -1, limitNum);
+      hasMoreBefore = older.length > limitNum;
+      older = older.slice(0, limitNum);
+    } else if (direction === 'before') {
+      older = await findPage(buildCursorCondition(position, 'before'), -1, limitNum);
+      hasMoreBefore = older.length > limitNum;
+      older = older.slice(0, limitNum);
+      hasMoreAfter = older.length
+        ? await existsBeyond(older[0], 'after')
+        : await existsBeyond(position, 'after', true);
+    } else if (direction === 'after') {
+      newer = await findPage(buildCursorCondition(position, 'after'), 1, limitNum);
+      hasMoreAfter = newer.length > limitNum;
+      newer = newer.slice(0, limitNum);
+      hasMoreBefore = newer.length
+        ? await existsBeyond(newer[0], 'before')
+        : await existsBeyond(position, 'before', true);
     } else {
-      console.log('📤 No older messages found');
-    }
-    
-    // Remove duplicates
-    const uniqueMessages = [];
-    const seenIds = new Set();
-    for (const msg of result) {
-      const msgId = String(msg._id);
-      if (!seenIds.has(msgId)) {
-        seenIds.add(msgId);
-        uniqueMessages.push(msg);
+      // around: the anchor itself plus roughly half a page on each side
+      const anchor = await findPage({ _id: position._id }, 1, 0);
+      if (!anchor.length) {
+        return res.status(404).json({ message: 'Message not found' });
       }
+      const beforeCount = Math.floor((limitNum - 1) / 2);
+      const afterCount = limitNum - 1 - beforeCount;
+      [older, newer] = await Promise.all([
+        findPage(buildCursorCondition(position, 'before'), -1, beforeCount),
+        findPage(buildCursorCondition(position, 'after'), 1, afterCount),
+      ]);
+      hasMoreBefore = older.length > beforeCount;
+      hasMoreAfter = newer.length > afterCount;
+      older = older.slice(0, beforeCount);
+      newer = [anchor[0], ...newer.slice(0, afterCount)];
     }
 
+    const messages = [...older.reverse(), ...newer];
+    const receiptContext = await buildReceiptContext(chat, userId);
+    const getStatus = (msg) => getDeliveryStatus(msg, receiptContext);
+
     res.json({
-      messages: uniqueMessages,
-      hasMore,
-      total: await Message.countDocuments({ chat: chatId }),
+      messages: messages.map((msg) => formatMessageForClient(msg, { chat, userId, getStatus })),
+      hasMore: hasMoreBefore, // kept for clients that only load older pages
+      hasMoreBefore,
+      hasMoreAfter,
+      startCursor: messages.length ? encodeMessageCursor(messages[0]) : null,
+      endCursor: messages.length ? encodeMessageCursor(messages[messages.length - 1]) : null,
+      ...(direction === 'around' && position ? { anchorId: String(position._id) } : {}),
+      total: await Message.countDocuments(visibleQuery),
     });
   } catch (error) {
     console.error('Error loading messages:', error);
@@ -544,7 +500,7 @@ router.post('/:chatId/messages', auth, async (req, res) => {
   try {
     const { chatId } = req.params;
     const userId = req.user._id;
-    const { content, type, file, encryption, previewText } = req.body;
+    const { content, type, file, encryption, previewText, replyTo, clientMessageId, mentions, mentionsAll } = req.body;
 
     // Verify user is participant
     const chat = await Chat.findById(chatId);
@@ -557,156 +513,27 @@ router.post('/:chatId/messages', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Normalize file URL to relative path if file exists
-    let normalizedFile = file;
-    if (file) {
-      normalizedFile = {
-        ...file,
-        ...(file.url ? { url: normalizeFileUrl(file.url) } : {}),
-        ...(file.thumbnailUrl ? { thumbnailUrl: normalizeFileUrl(file.thumbnailUrl) } : {})
-      };
-    }
-
-    const message = new Message({
-      chat: chatId,
-      sender: userId,
+    const { message, duplicate } = await sendChatMessage({
+      io: req.app.get('io'),
+      chat,
+      senderId: userId,
       content,
-      type: type || 'text',
-      file: normalizedFile || undefined,
-      encryption: encryption || undefined,
-    });
-
-    await message.save();
-    await message.populate('sender', 'phoneNumber role fullName avatar');
-    await message.populate('readBy.user', 'phoneNumber role fullName avatar');
-    await message.populate({
-      path: 'chat',
-      populate: {
-        path: 'groupId',
-        select: 'name code'
-      }
+      type,
+      file,
+      encryption,
+      previewText,
+      replyTo,
+      clientMessageId,
+      mentions,
+      mentionsAll,
     });
 
-    // Update chat updatedAt
-    chat.updatedAt = new Date();
-    await chat.save();
-
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    if (io) {
-      // Prepare message data with chat info
-      const messageData = {
-        ...message.toObject(),
-        chat: {
-          _id: chat._id,
-          isGroup: chat.isGroup,
-          groupId: chat.groupId ? {
-            _id: chat.groupId._id,
-            name: chat.groupId.name,
-            code: chat.groupId.code
-          } : null
-        },
-        createdAt: message.createdAt
-      };
-
-      // Broadcast to all participants in the chat
-      io.to(`chat:${chatId}`).emit('new-message', messageData);
-
-      // Update chat list for all participants
-      chat.participants.forEach(participantId => {
-        io.to(`user:${participantId}`).emit('chat-updated', {
-          chatId: chat._id,
-          lastMessage: message
-        });
-      });
-
-      // Push notification to offline participants
-      const sender = await User.findById(userId).select('fullName phoneNumber').lean();
-      const senderName = sender?.fullName || sender?.phoneNumber || 'Người dùng';
-      const recipients = chat.participants.filter(p => p.toString() !== userId.toString());
-
-      await Promise.all(recipients.map(async (participantId) => {
-        try {
-          // Always send push notification for messages.
-          // Rationale: mobile apps may keep sockets connected in background,
-          // which would otherwise suppress notifications.
-
-          const recipient = await User.findById(participantId)
-            .select('pushTokens fcmTokens apnsTokens')
-            .lean();
-          if (!recipient) return;
-
-          const expoTokens = (recipient.pushTokens || []).map((t) => t.token).filter(Boolean);
-          const fcmTokens = (recipient.fcmTokens || []).map((t) => t.token).filter(Boolean);
-          const apnsTokens = (recipient.apnsTokens || []).map((t) => t.token).filter(Boolean);
-          if (expoTokens.length === 0 && fcmTokens.length === 0 && apnsTokens.length === 0) return;
-
-          const safePreview = typeof previewText === 'string' && previewText.trim()
-            ? previewText.trim().slice(0, 120)
-            : null;
-          const decryptedPreview = !safePreview && encryption?.alg
-            ? decryptMessageContent(content || '', encryption, chat.encryptionKey)
-            : null;
-          const contentLooksEncrypted = typeof content === 'string' && content.length > 24 && /^[A-Za-z0-9+/=]+$/.test(content);
-          const body =
-            safePreview ||
-            (decryptedPreview ? decryptedPreview.slice(0, 120) : null) ||
-            ((encryption?.alg || contentLooksEncrypted) ? '🔐 Tin nhắn mới' :
-            type === 'image' ? '📷 Hình ảnh' :
-            type === 'video' ? '🎥 Video' :
-            type === 'audio' ? '🎤 Tin nhắn thoại' :
-            type === 'file' ? '📎 Tệp đính kèm' :
-            content || 'Tin nhắn mới');
-
-          const payload = {
-            title: chat.isGroup ? (chat.groupId?.name || 'Nhóm') : senderName,
-            body,
-            sound: 'default',
-            priority: 'high',
-            channelId: 'default',
-            data: {
-              type: 'message',
-              chatId: String(chat._id),
-              messageId: String(message._id),
-              senderId: String(userId),
-              senderName,
-              isGroup: !!chat.isGroup,
-            },
-          };
-
-          // Prefer native tokens to avoid Expo APNs credential dependency.
-          // - Android: FCM
-          // - iOS: APNs
-          // Only fall back to Expo if no native tokens exist at all.
-          if (fcmTokens.length) {
-            const invalidTokens = await sendFcmNotification(fcmTokens, payload);
-            if (invalidTokens && invalidTokens.length > 0) {
-              await User.updateOne(
-                { _id: participantId },
-                { $pull: { fcmTokens: { token: { $in: invalidTokens } } } }
-              );
-            }
-          }
-          if (apnsTokens.length) {
-            const invalidTokens = await sendApnsNotification(apnsTokens, payload);
-            if (invalidTokens && invalidTokens.length > 0) {
-              await User.updateOne(
-                { _id: participantId },
-                { $pull: { apnsTokens: { token: { $in: invalidTokens } } } }
-              );
-            }
-          }
-          if (!fcmTokens.length && !apnsTokens.length && expoTokens.length) {
-            await sendPushNotification(expoTokens, payload);
-          }
-        } catch (pushError) {
-          console.error('Error sending push notification:', pushError);
-        }
-      }));
-    }
-
-    res.status(201).json(message);
+    // A retried request gets the original message back
+    res.status(duplicate ? 200 : 201).json(message);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error sending message:', error);
     
     // Handle validation errors
@@ -726,44 +553,457 @@ router.post('/:chatId/messages', auth, async (req, res) => {
   }
 });
 
-// Mark message as read
+// Mark chat as read up to a message (body.messageId, defaults to the newest message)
+router.post('/:chatId/read', auth, async (req, res) => {
+  try {
+    const result = await markChatRead({
+      io: req.app.get('io'),
+      chatId: req.params.chatId,
+      userId: req.user._id,
+      messageId: req.body?.messageId || null,
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error marking chat as read:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm messages reached this device (e.g. from a push notification handler)
+router.post('/:chatId/messages/delivered', auth, async (req, res) => {
+  try {
+    const result = await markMessagesDelivered({
+      io: req.app.get('io'),
+      chatId: req.params.chatId,
+      userId: req.user._id,
+      messageIds: req.body?.messageIds || req.body?.messageId,
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error marking messages as delivered:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Message info: per-recipient delivery and read times (sender only)
+router.get('/:chatId/messages/:messageId/info', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const result = await getMessageInfo({ chatId, messageId, userId: req.user._id });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error loading message info:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark message as read (moves the chat read cursor up to this message)
 router.post('/:chatId/messages/:messageId/read', auth, async (req, res) => {
   try {
     const { chatId, messageId } = req.params;
+    const result = await markChatRead({
+      io: req.app.get('io'),
+      chatId,
+      messageId,
+      userId: req.user._id,
+    });
+    res.json({ message: 'Message marked as read', ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Edit message (sender only, within MESSAGE_EDIT_WINDOW_MINUTES)
+router.put('/:chatId/messages/:messageId', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const { content, encryption } = req.body;
+
+    const result = await editMessage({
+      io: req.app.get('io'),
+      chatId,
+      messageId,
+      userId: req.user._id,
+      content,
+      encryption,
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error editing message:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete message: ?scope=me hides it for the current user, ?scope=everyone unsends it (sender only)
+router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const scope = req.query.scope || req.body?.scope || 'me';
+
+    const result = await deleteMessage({
+      io: req.app.get('io'),
+      chatId,
+      messageId,
+      userId: req.user._id,
+      scope,
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error deleting message:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// React to a message (replaces the user's previous reaction)
+router.post('/:chatId/messages/:messageId/reactions', auth, [
+  body('emoji').isString().trim().notEmpty().withMessage('Emoji is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId } = req.params;
+    const result = await setMessageReaction({
+      io: req.app.get('io'),
+      chatId,
+      messageId,
+      userId: req.user._id,
+      emoji: req.body.emoji,
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove the current user's reaction from a message
+router.delete('/:chatId/messages/:messageId/reactions', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const result = await setMessageReaction({
+      io: req.app.get('io'),
+      chatId,
+      messageId,
+      userId: req.user._id,
+      emoji: null,
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get replies to a message (thread), oldest first
+router.get('/:chatId/messages/:messageId/replies', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const { limit = 30, afterMessageId } = req.query;
     const userId = req.user._id;
 
-    // Verify user is participant
-    const chat = await Chat.findById(chatId);
-    if (!chat) {
-      return res.status(404).json({ message: 'Chat not found' });
+    const chat = await getChatForParticipant(chatId, userId);
+    const parent = await getChatMessage(chat._id, messageId);
+    await parent.populate('sender', 'phoneNumber role fullName avatar');
+    await parent.populate(REPLY_TO_POPULATE);
+
+    const limitNum = Math.min(parseInt(limit, 10) || 30, 100);
+    const baseQuery = { chat: chat._id, replyTo: parent._id, deletedFor: { $ne: userId } };
+    const query = { ...baseQuery };
+
+    if (afterMessageId) {
+      const afterMessage = mongoose.Types.ObjectId.isValid(afterMessageId)
+        ? await Message.findOne({ _id: afterMessageId, chat: chat._id }).select('createdAt')
+        : null;
+      if (!afterMessage) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+      query.$or = [
+        { createdAt: { $gt: afterMessage.createdAt } },
+        { createdAt: afterMessage.createdAt, _id: { $gt: afterMessage._id } }
+      ];
     }
 
-    const isParticipant = chat.participants.some(p => p.toString() === userId.toString());
-    if (!isParticipant) {
-      return res.status(403).json({ message: 'Access denied' });
+    const [replies, total] = await Promise.all([
+      Message.find(query)
+        .populate('sender', 'phoneNumber role fullName avatar')
+        .populate(REPLY_TO_POPULATE)
+        .select('-revisions -deletedFor')
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(limitNum + 1)
+        .lean(),
+      Message.countDocuments(baseQuery),
+    ]);
+
+    const hasMore = replies.length > limitNum;
+    const result = hasMore ? replies.slice(0, limitNum) : replies;
+
+    res.json({
+      parent: formatMessageForClient(
+        { ...parent.toObject(), revisions: undefined, deletedFor: undefined },
+        { chat, userId }
+      ),
+      replies: result.map((msg) => formatMessageForClient(msg, { chat, userId })),
+      hasMore,
+      total,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error loading replies:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    // Find message
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
+// Get edit history of a message
+router.get('/:chatId/messages/:messageId/revisions', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const result = await getMessageRevisions({ chatId, messageId, userId: req.user._id });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error loading message revisions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    // Check if already read by this user
-    const alreadyRead = message.readBy.some(r => r.user.toString() === userId.toString());
-    if (!alreadyRead) {
-      message.readBy.push({
-        user: userId,
-        readAt: new Date()
-      });
-      await message.save();
+// Update the current user's chat preferences: { pinned, archived, mutedUntil, unarchiveOnNewMessage }
+router.put('/:chatId/preferences', auth, async (req, res) => {
+  try {
+    const { pinned, archived, mutedUntil, unarchiveOnNewMessage } = req.body;
+    const preferences = await updateChatPreferences({
+      io: req.app.get('io'),
+      chatId: req.params.chatId,
+      userId: req.user._id,
+      pinned,
+      archived,
+      mutedUntil,
+      unarchiveOnNewMessage,
+    });
+    res.json(preferences);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Error updating chat preferences:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    await message.populate('readBy.user', 'phoneNumber role fullName avatar');
+// Get the current user's draft for a chat
+router.get('/:chatId/draft', auth, async (req, res) => {
+  try {
+    const draft = await getDraft({ chatId: req.params.chatId, userId: req.user._id });
+    res.json(draft);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error loading draft:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    res.json({ message: 'Message marked as read', readBy: message.readBy });
+// Save the draft: { content, encryption, replyTo, updatedAt } (empty content clears it)
+router.put('/:chatId/draft', auth, async (req, res) => {
+  try {
+    const { content, encryption, replyTo, updatedAt } = req.body;
+    const draft = await saveDraft({
+      io: req.app.get('io'),
+      chatId: req.params.chatId,
+      userId: req.user._id,
+      content,
+      encryption,
+      replyTo,
+      updatedAt,
+    });
+    res.json(draft);
   } catch (error) {
-    console.error(error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error saving draft:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get pinned messages of a chat (newest pin first)
+router.get('/:chatId/pins', auth, async (req, res) => {
+  try {
+    const pins = await listPinnedMessages({ chatId: req.params.chatId, userId: req.user._id });
+    res.json(pins);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error loading pinned messages:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Pin a message (the oldest pin is dropped past MAX_PINNED_MESSAGES)
+router.post('/:chatId/messages/:messageId/pin', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const result = await pinMessage({ io: req.app.get('io'), chatId, messageId, userId: req.user._id });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error pinning message:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unpin a message
+router.delete('/:chatId/messages/:messageId/pin', auth, async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const result = await unpinMessage({ io: req.app.get('io'), chatId, messageId, userId: req.user._id });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error unpinning message:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Turn disappearing messages on/off: { ttlSeconds: 86400 | 604800 | 2592000 | 7776000 | null }
+router.put('/:chatId/disappearing', auth, async (req, res) => {
+  try {
+    const result = await setChatMessageTtl({
+      io: req.app.get('io'),
+      chatId: req.params.chatId,
+      userId: req.user._id,
+      ttlSeconds: req.body.ttlSeconds,
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating disappearing messages:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the current user's scheduled (not yet sent) messages in a chat
+router.get('/:chatId/scheduled', auth, async (req, res) => {
+  try {
+    const scheduled = await listScheduledMessages({ chatId: req.params.chatId, userId: req.user._id });
+    res.json(scheduled);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error loading scheduled messages:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Schedule a message to be sent at `sendAt`
+router.post('/:chatId/scheduled', auth, async (req, res) => {
+  try {
+    const { content, type, file, encryption, previewText, replyTo, sendAt } = req.body;
+    const scheduled = await createScheduledMessage({
+      chatId: req.params.chatId,
+      userId: req.user._id,
+      content,
+      type,
+      file,
+      encryption,
+      previewText,
+      replyTo,
+      sendAt,
+    });
+    res.status(201).json(scheduled);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error scheduling message:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Edit a scheduled message (content and/or sendAt) before it is sent
+router.put('/:chatId/scheduled/:scheduledId', auth, async (req, res) => {
+  try {
+    const { content, type, file, encryption, previewText, replyTo, sendAt } = req.body;
+    const scheduled = await updateScheduledMessage({
+      chatId: req.params.chatId,
+      scheduledId: req.params.scheduledId,
+      userId: req.user._id,
+      content,
+      type,
+      file,
+      encryption,
+      previewText,
+      replyTo,
+      sendAt,
+    });
+    res.json(scheduled);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating scheduled message:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Cancel a scheduled message
+router.delete('/:chatId/scheduled/:scheduledId', auth, async (req, res) => {
+  try {
+    const scheduled = await cancelScheduledMessage({
+      chatId: req.params.chatId,
+      scheduledId: req.params.scheduledId,
+      userId: req.user._id,
+    });
+    res.json(scheduled);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error cancelling scheduled message:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
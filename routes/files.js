@@ -1,34 +1,40 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const sharp = require('sharp');
 const File = require('../models/File');
 const { auth } = require('../middleware/auth');
+const {
+  uploadsDir,
+  MAX_UPLOAD_SIZE,
+  generateUploadFileName,
+  saveUploadedFile,
+  formatUploadedFile,
+} = require('../utils/uploadProcessing');
+const { claimFileByHash } = require('../utils/blobs');
+const { storage } = require('../utils/storage');
+const { canAccessUpload } = require('../utils/fileAccess');
 
 const router = express.Router();
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
+// Configure multer for file uploads (staged in uploads/, then handed to storage)
+const diskStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
+    cb(null, generateUploadFileName(file.originalname));
   }
 });
 
 const upload = multer({
-  storage: storage,
+  storage: diskStorage,
   limits: {
-    fileSize: 200 * 1024 * 1024 // 200MB limit for videos
+    fileSize: MAX_UPLOAD_SIZE
   },
   fileFilter: (req, file, cb) => {
     // Accept all file types including videos
@@ -36,25 +42,6 @@ const upload = multer({
   }
 });
 
-const IMAGE_MAX_EDGE = 1920;
-const THUMB_MAX_EDGE = 360;
-
-const getSharpFormat = (mimeType) => {
-  if (mimeType === 'image/png') return 'png';
-  if (mimeType === 'image/webp') return 'webp';
-  return 'jpeg';
-};
-
-const getSharpOptions = (format, isThumb = false) => {
-  if (format === 'png') {
-    return { compressionLevel: 8 };
-  }
-  if (format === 'webp') {
-    return { quality: isThumb ? 65 : 80 };
-  }
-  return { quality: isThumb ? 65 : 80, mozjpeg: true };
-};
-
 // Upload file with better error handling
 router.post('/upload', auth, (req, res, next) => {
   upload.single('file')(req, res, (err) => {
@@ -82,6 +69,7 @@ router.post('/upload', auth, (req, res, next) => {
     next();
   });
 }, async (req, res) => {
+  let uploaded = null;
   try {
     if (!req.file) {
       console.error('No file in request');
@@ -97,7 +85,7 @@ router.post('/upload', auth, (req, res, next) => {
     });
 
     // Validate file size (double check)
-    const maxSize = 200 * 1024 * 1024; // 200MB
+    const maxSize = MAX_UPLOAD_SIZE;
     if (req.file.size > maxSize) {
       console.error('File too large:', req.file.size);
       // Delete the uploaded file
@@ -109,142 +97,24 @@ router.post('/upload', auth, (req, res, next) => {
       });
     }
 
-    let thumbnailFileName = null;
-    let thumbnailPath = null;
-    let imageWidth = null;
-    let imageHeight = null;
-
-    // Optimize images + create thumbnail (skip GIFs)
-    const isImage = req.file.mimetype && req.file.mimetype.startsWith('image/');
-    const isGif = req.file.mimetype === 'image/gif';
-    const isHeic = req.file.mimetype === 'image/heic' || req.file.mimetype === 'image/heif';
-
-    if (isImage && !isGif && !isHeic) {
-      try {
-        const ext = path.extname(req.file.filename);
-        const baseName = path.basename(req.file.filename, ext);
-        thumbnailFileName = `${baseName}-thumb${ext}`;
-        thumbnailPath = path.join(uploadsDir, thumbnailFileName);
-
-        const format = getSharpFormat(req.file.mimetype);
-        const tempFullPath = `${req.file.path}.tmp`;
-
-        const fullInfo = await sharp(req.file.path)
-          .rotate()
-          .resize({
-            width: IMAGE_MAX_EDGE,
-            height: IMAGE_MAX_EDGE,
-            fit: 'inside',
-            withoutEnlargement: true
-          })
-          .toFormat(format, getSharpOptions(format))
-          .toFile(tempFullPath);
-
-        fs.renameSync(tempFullPath, req.file.path);
-
-        await sharp(req.file.path)
-          .rotate()
-          .resize({
-            width: THUMB_MAX_EDGE,
-            height: THUMB_MAX_EDGE,
-            fit: 'cover',
-            withoutEnlargement: true
-          })
-          .toFormat(format, getSharpOptions(format, true))
-          .toFile(thumbnailPath);
-
-        imageWidth = fullInfo.width || null;
-        imageHeight = fullInfo.height || null;
-        req.file.size = fs.statSync(req.file.path).size;
-      } catch (imageError) {
-        console.error('Error optimizing image:', imageError);
-        thumbnailFileName = null;
-        thumbnailPath = null;
-      }
-    } else if (isHeic) {
-      try {
-        const ext = path.extname(req.file.filename);
-        const baseName = path.basename(req.file.filename, ext);
-        const jpegFileName = `${baseName}.jpg`;
-        const jpegPath = path.join(uploadsDir, jpegFileName);
-        const tempFullPath = `${jpegPath}.tmp`;
-
-        const fullInfo = await sharp(req.file.path)
-          .rotate()
-          .resize({
-            width: IMAGE_MAX_EDGE,
-            height: IMAGE_MAX_EDGE,
-            fit: 'inside',
-            withoutEnlargement: true
-          })
-          .toFormat('jpeg', getSharpOptions('jpeg'))
-          .toFile(tempFullPath);
-
-        fs.renameSync(tempFullPath, jpegPath);
-        fs.unlinkSync(req.file.path);
-
-        req.file.filename = jpegFileName;
-        req.file.path = jpegPath;
-        req.file.mimetype = 'image/jpeg';
-
-        thumbnailFileName = `${baseName}-thumb.jpg`;
-        thumbnailPath = path.join(uploadsDir, thumbnailFileName);
-
-        await sharp(req.file.path)
-          .rotate()
-          .resize({
-            width: THUMB_MAX_EDGE,
-            height: THUMB_MAX_EDGE,
-            fit: 'cover',
-            withoutEnlargement: true
-          })
-          .toFormat('jpeg', getSharpOptions('jpeg', true))
-          .toFile(thumbnailPath);
-
-        imageWidth = fullInfo.width || null;
-        imageHeight = fullInfo.height || null;
-        req.file.size = fs.statSync(req.file.path).size;
-      } catch (imageError) {
-        console.error('Error converting HEIC/HEIF:', imageError);
-        thumbnailFileName = null;
-        thumbnailPath = null;
-      }
-    }
-
-    const file = new File({
+    uploaded = {
       fileName: req.file.filename,
-      originalName: req.file.originalname,
       filePath: req.file.path,
-      mimeType: req.file.mimetype || 'application/octet-stream',
-      fileSize: req.file.size,
-      uploadedBy: req.user._id,
-      thumbnailPath,
-      thumbnailFileName,
-      width: imageWidth,
-      height: imageHeight
-    });
-
-    await file.save();
-    console.log('File saved successfully:', file._id);
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size
+    };
+    const file = await saveUploadedFile(uploaded, req.user._id);
 
-    res.json({
-      id: file._id,
-      fileName: file.fileName,
-      originalName: file.originalName,
-      url: `/uploads/${file.fileName}`,
-      thumbnailUrl: thumbnailFileName ? `/uploads/${thumbnailFileName}` : undefined,
-      mimeType: file.mimeType,
-      fileSize: file.fileSize,
-      width: imageWidth || undefined,
-      height: imageHeight || undefined
-    });
+    res.json(formatUploadedFile(file));
   } catch (error) {
     console.error('Error uploading file:', error);
     
-    // Clean up uploaded file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
+    // Clean up uploaded file if it exists (HEIC conversion may have replaced it)
+    const storedPath = uploaded ? uploaded.filePath : req.file?.path;
+    if (storedPath && fs.existsSync(storedPath)) {
       try {
-        fs.unlinkSync(req.file.path);
+        fs.unlinkSync(storedPath);
       } catch (unlinkError) {
         console.error('Error deleting file:', unlinkError);
       }
@@ -258,6 +128,31 @@ router.post('/upload', auth, (req, res, next) => {
   }
 });
 
+// Check hash first: when the server already has this content, the upload can be skipped
+// Body: { hash: sha256 hex of the original bytes, size, fileName }
+router.post('/check-hash', auth, async (req, res) => {
+  try {
+    const { hash, size, fileName } = req.body;
+    const file = await claimFileByHash({
+      hash,
+      size,
+      originalName: fileName,
+      userId: req.user._id
+    });
+
+    if (!file) {
+      return res.json({ exists: false });
+    }
+    res.json({ exists: true, ...formatUploadedFile(file) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error checking file hash:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get file
 router.get('/:fileId', auth, async (req, res) => {
   try {
@@ -268,12 +163,17 @@ router.get('/:fileId', auth, async (req, res) => {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Check if file exists on disk
-    if (!fs.existsSync(file.filePath)) {
+    // Only for the uploader and participants of the chat the file was sent in
+    if (!(await canAccessUpload(req.user._id, file.fileName))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Check if file exists in storage
+    if (!(await storage.exists(file.fileName))) {
       return res.status(404).json({ message: 'File not found on server' });
     }
 
-    res.download(file.filePath, file.originalName);
+    await storage.sendDownload(res, file.fileName, file.originalName);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
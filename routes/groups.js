@@ -4,9 +4,49 @@ const Chat = require('../models/Chat');
 const { auth, isAdmin } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
+const User = require('../models/User');
+const { recordMembershipChange } = require('../utils/syncLog');
+const { postSystemMessage } = require('../utils/messageSender');
+const { canUseAsAvatar } = require('../utils/fileAccess');
 
 const router = express.Router();
 
+const getDisplayName = async (userId) => {
+  const user = await User.findById(userId).select('fullName phoneNumber').lean();
+  return user?.fullName || user?.phoneNumber || 'Người dùng';
+};
+
+// Post a group event into the group chat (e.g. 'member-added'); never fails the request
+const postGroupEvent = async (req, chat, event, text, { targets = [], data = {} } = {}) => {
+  try {
+    await postSystemMessage({
+      io: req.app.get('io'),
+      chat,
+      actorId: req.user._id,
+      event,
+      text,
+      targets,
+      data,
+    });
+  } catch (error) {
+    console.error('Error posting group event:', event, error);
+  }
+};
+
+// Add/remove the users' connected sockets to/from the chat room
+const updateChatRooms = (req, chatId, userIds, joining) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  (Array.isArray(userIds) ? userIds : [userIds]).forEach((userId) => {
+    const sockets = io.in(`user:${userId}`);
+    if (joining) {
+      sockets.socketsJoin(`chat:${chatId}`);
+    } else {
+      sockets.socketsLeave(`chat:${chatId}`);
+    }
+  });
+};
+
 // Generate unique group code
 const generateGroupCode = () => {
   return crypto.randomBytes(4).toString('hex').toUpperCase();
@@ -46,6 +86,9 @@ router.post('/create', auth, [
       groupId: group._id
     });
     await chat.save();
+    await recordMembershipChange(chat._id, req.user._id, 'added');
+    updateChatRooms(req, chat._id, req.user._id, true);
+    await postGroupEvent(req, chat, 'group-created', `đã tạo nhóm "${name}"`, { data: { name } });
 
     await group.populate('createdBy', 'phoneNumber');
     await group.populate('members', 'phoneNumber role');
@@ -91,6 +134,7 @@ router.post('/join', auth, [
       if (!isParticipant) {
         chat.participants.push(userId);
         await chat.save();
+        await recordMembershipChange(chat._id, userId, 'added');
       }
     } else {
       chat = new Chat({
@@ -99,7 +143,14 @@ router.post('/join', auth, [
         groupId: group._id
       });
       await chat.save();
+      await recordMembershipChange(chat._id, group.members, 'added');
+      updateChatRooms(req, chat._id, group.members, true);
     }
+    updateChatRooms(req, chat._id, userId, true);
+    await postGroupEvent(req, chat, 'member-joined', 'đã tham gia nhóm bằng mã mời', {
+      targets: [userId],
+      data: { code: group.code },
+    });
 
     await group.populate('createdBy', 'phoneNumber');
     await group.populate('members', 'phoneNumber role');
@@ -176,6 +227,11 @@ router.post('/:groupId/add-member', auth, [
       if (!isParticipant) {
         chat.participants.push(userId);
         await chat.save();
+        await recordMembershipChange(chat._id, userId, 'added');
+        updateChatRooms(req, chat._id, userId, true);
+        await postGroupEvent(req, chat, 'member-added', `đã thêm ${await getDisplayName(userId)} vào nhóm`, {
+          targets: [userId],
+        });
       }
     }
 
@@ -221,12 +277,12 @@ router.get('/chat/:chatId', auth, async (req, res) => {
   }
 });
 
-// Update group (name, avatar) - admin or member
+// Update group (name, avatar, onlyAdminsCanPin) - admin or member
 router.put('/:groupId', auth, async (req, res) => {
   try {
     const { groupId } = req.params;
     const userId = req.user._id;
-    const { name, avatar } = req.body;
+    const { name, avatar, onlyAdminsCanPin } = req.body;
 
     const group = await Group.findById(groupId);
     if (!group) {
@@ -241,6 +297,9 @@ router.put('/:groupId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const previousName = group.name;
+    const previousAvatar = group.avatar;
+
     // Update fields
     if (name !== undefined) {
       group.name = name;
@@ -264,10 +323,40 @@ router.put('/:groupId', auth, async (req, res) => {
       if (normalizedAvatar && !normalizedAvatar.startsWith('/')) {
         normalizedAvatar = `/${normalizedAvatar}`;
       }
+      // Avatars are public: never keep the query of a signed upload URL
+      if (normalizedAvatar) {
+        normalizedAvatar = normalizedAvatar.split(/[?#]/)[0];
+      }
+      // Setting an avatar makes the file public, so it has to be the caller's own upload
+      if (normalizedAvatar && normalizedAvatar !== group.avatar && !(await canUseAsAvatar(userId, normalizedAvatar))) {
+        return res.status(400).json({ message: 'Avatar must be an image you uploaded' });
+      }
       group.avatar = normalizedAvatar;
     }
+    if (onlyAdminsCanPin !== undefined) {
+      // Pin permissions are a group admin setting
+      if (!isAdmin && group.createdBy.toString() !== userId.toString()) {
+        return res.status(403).json({ message: 'Only group admins can change pin permissions' });
+      }
+      group.onlyAdminsCanPin = !!onlyAdminsCanPin;
+    }
 
     await group.save();
+
+    const chat = (group.name !== previousName || group.avatar !== previousAvatar)
+      ? await Chat.findOne({ groupId: group._id })
+      : null;
+    if (chat && group.name !== previousName) {
+      await postGroupEvent(req, chat, 'group-renamed', `đã đổi tên nhóm thành "${group.name}"`, {
+        data: { oldName: previousName, newName: group.name },
+      });
+    }
+    if (chat && group.avatar !== previousAvatar) {
+      await postGroupEvent(req, chat, 'group-avatar-updated', 'đã đổi ảnh nhóm', {
+        data: { oldAvatar: previousAvatar, newAvatar: group.avatar },
+      });
+    }
+
     await group.populate('createdBy', 'phoneNumber fullName avatar');
     await group.populate('members', 'phoneNumber role fullName avatar');
 
@@ -304,8 +393,17 @@ router.delete('/:groupId/members/:memberId', auth, async (req, res) => {
     // Update chat participants
     const chat = await Chat.findOne({ groupId });
     if (chat) {
+      const wasParticipant = chat.participants.some(p => p.toString() === memberId);
       chat.participants = chat.participants.filter(p => p.toString() !== memberId);
       await chat.save();
+      if (wasParticipant) {
+        await recordMembershipChange(chat._id, memberId, 'removed');
+        // Posted before leaving the room so the removed member sees it too
+        await postGroupEvent(req, chat, 'member-removed', `đã xóa ${await getDisplayName(memberId)} khỏi nhóm`, {
+          targets: [memberId],
+        });
+        updateChatRooms(req, chat._id, memberId, false);
+      }
     }
 
     await group.populate('createdBy', 'phoneNumber fullName avatar');
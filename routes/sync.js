@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const { getSyncChanges } = require('../utils/syncLog');
+
+// Changes since the client's last sync token, across all of the user's chats.
+// Page with the returned token while hasMore is true; resetRequired means the
+// token is missing or too old and the client must refetch its chats first.
+router.get('/', auth, async (req, res) => {
+  try {
+    const { token, limit } = req.query;
+    const result = await getSyncChanges({ userId: req.user._id, token, limit });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error loading sync changes:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
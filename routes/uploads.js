@@ -0,0 +1,150 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { MAX_UPLOAD_SIZE } = require('../utils/uploadProcessing');
+const {
+  CHECKSUM_ALGORITHMS,
+  parseUploadMetadata,
+  formatUploadSession,
+  createUploadSession,
+  getUploadSession,
+  appendUploadPart,
+  deleteUploadSession,
+} = require('../utils/uploadSessions');
+
+// Resumable uploads following the tus 1.0.0 protocol (creation, expiration,
+// checksum and termination extensions): POST to start, PATCH parts at
+// Upload-Offset, HEAD to ask how far the server got. GET returns the same state
+// as JSON, including the File once the last part has arrived.
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+
+router.use((req, res, next) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': 'creation,expiration,checksum,termination',
+    'Tus-Max-Size': String(MAX_UPLOAD_SIZE),
+    'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(','),
+    'Access-Control-Expose-Headers': [
+      'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Metadata',
+      'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm',
+    ].join(', '),
+  });
+
+  // Some proxies only let GET/POST through
+  const override = req.header('X-HTTP-Method-Override');
+  if (override && req.method === 'POST') {
+    req.method = override.toUpperCase();
+  }
+
+  const clientVersion = req.header('Tus-Resumable');
+  if (clientVersion && clientVersion !== TUS_VERSION) {
+    return res.status(412).json({ message: 'Unsupported tus version' });
+  }
+  next();
+});
+
+const sendUploadError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+const setProgressHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.length),
+    'Upload-Expires': new Date(session.expiresAt).toUTCString(),
+    'Cache-Control': 'no-store',
+  });
+};
+
+// Start an upload: tus headers (Upload-Length, Upload-Metadata) or a JSON body
+// ({ fileSize, fileName, mimeType }) for clients without a tus library
+router.post('/', auth, async (req, res) => {
+  try {
+    const rawMetadata = req.header('Upload-Metadata') || null;
+    const metadata = rawMetadata ? parseUploadMetadata(rawMetadata) : (req.body || {});
+    const session = await createUploadSession({
+      userId: req.user._id,
+      length: req.header('Upload-Length') ?? req.body?.fileSize,
+      metadata,
+      rawMetadata,
+    });
+
+    setProgressHeaders(res, session);
+    res.set('Location', `${req.baseUrl}/${session._id}`);
+    res.status(201).json(formatUploadSession(session));
+  } catch (error) {
+    sendUploadError(res, error, 'creating upload');
+  }
+});
+
+// Progress (tus): Upload-Offset tells the client where to resume
+router.head('/:uploadId', auth, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.uploadId, req.user._id);
+    setProgressHeaders(res, session);
+    if (session.metadata) {
+      res.set('Upload-Metadata', session.metadata);
+    }
+    res.status(200).end();
+  } catch (error) {
+    res.status(error.status || 500).end();
+  }
+});
+
+// Progress as JSON, with the finished file ({ id, url, thumbnailUrl, ... }) once complete
+router.get('/:uploadId', auth, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.uploadId, req.user._id);
+    setProgressHeaders(res, session);
+    res.json(formatUploadSession(session));
+  } catch (error) {
+    sendUploadError(res, error, 'loading upload');
+  }
+});
+
+// Upload a part starting at Upload-Offset (optionally with Upload-Checksum: "sha1 <base64>")
+router.patch('/:uploadId', auth, async (req, res) => {
+  try {
+    if (req.header('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ message: 'Content-Type must be application/offset+octet-stream' });
+    }
+    const offset = req.header('Upload-Offset');
+    if (offset === undefined || !/^\d+$/.test(offset)) {
+      return res.status(400).json({ message: 'Upload-Offset is required' });
+    }
+
+    const session = await appendUploadPart({
+      uploadId: req.params.uploadId,
+      userId: req.user._id,
+      offset: Number(offset),
+      stream: req,
+      checksumHeader: req.header('Upload-Checksum'),
+    });
+
+    setProgressHeaders(res, session);
+    if (session.file) {
+      res.set('Upload-File-Id', String(session.file._id || session.file));
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error, 'uploading part');
+  }
+});
+
+// Abandon an upload (tus termination)
+router.delete('/:uploadId', auth, async (req, res) => {
+  try {
+    await deleteUploadSession(req.params.uploadId, req.user._id);
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error, 'deleting upload');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Build the search index (Message.searchTokens) for existing messages
+ *
+ * Messages sent or edited after the search feature was deployed are indexed
+ * automatically. This script fills in the index for older messages,
+ * decrypting encrypted ones with their chat's key.
+ *
+ * Usage: node scripts/index-message-search.js [--all]
+ *   --all  Re-index every message, not only the ones without an index
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { buildSearchTokens } = require('../utils/searchIndex');
+
+const BATCH_SIZE = 500;
+
+async function indexMessages() {
+  const reindexAll = process.argv.includes('--all');
+
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/chatlocal';
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const chats = await Chat.find({ encryptionKey: { $ne: null } }).select('encryptionKey').lean();
+    console.log(`\n🔍 Indexing messages in ${chats.length} chats${reindexAll ? ' (full re-index)' : ''}...`);
+
+    let indexedCount = 0;
+
+    for (const chat of chats) {
+      const query = { chat: chat._id };
+      if (!reindexAll) {
+        query.searchTokens = { $exists: false };
+      }
+
+      const cursor = Message.find(query)
+        .select('content encryption file deletedAt')
+        .lean()
+        .cursor();
+
+      let operations = [];
+      for await (const message of cursor) {
+        operations.push({
+          updateOne: {
+            filter: { _id: message._id },
+            update: { $set: { searchTokens: buildSearchTokens(message, chat.encryptionKey) } }
+          }
+        });
+        if (operations.length >= BATCH_SIZE) {
+          await Message.bulkWrite(operations, { ordered: false });
+          indexedCount += operations.length;
+          operations = [];
+        }
+      }
+      if (operations.length) {
+        await Message.bulkWrite(operations, { ordered: false });
+        indexedCount += operations.length;
+      }
+    }
+
+    console.log('\n📊 Indexing Summary:');
+    console.log(`  Chats processed: ${chats.length}`);
+    console.log(`  Messages indexed: ${indexedCount}`);
+    console.log('\n✅ Indexing completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error during indexing:', error);
+    process.exit(1);
+  } finally {
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    console.log('\n🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+// Run indexing
+indexMessages();
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script to build per-chat read cursors from per-message readBy arrays
+ *
+ * Read state used to be stored by pushing { user, readAt } onto Message.readBy.
+ * It now lives in ChatState (one document per user per chat). For every chat
+ * participant this script sets the cursor to the newest message they have read
+ * (or sent) and computes their unread count.
+ *
+ * Usage: node scripts/migrate-read-state.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const ChatState = require('../models/ChatState');
+const { buildCursorCondition } = require('../utils/messageCursor');
+
+async function migrateReadState() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/chatlocal';
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const chats = await Chat.find().select('participants').lean();
+    console.log(`\n🔍 Building read state for ${chats.length} chats...`);
+
+    let createdCount = 0;
+    let skippedCount = 0;
+
+    for (const chat of chats) {
+      for (const userId of chat.participants) {
+        const exists = await ChatState.exists({ chat: chat._id, user: userId });
+        if (exists) {
+          skippedCount++;
+          continue;
+        }
+
+        // Newest message the user read or sent
+        const lastRead = await Message.findOne({
+          chat: chat._id,
+          $or: [{ sender: userId }, { 'readBy.user': userId }]
+        })
+          .sort({ createdAt: -1, _id: -1 })
+          .select('createdAt readBy')
+          .lean();
+
+        const unreadCount = await Message.countDocuments({
+          chat: chat._id,
+          sender: { $ne: userId },
+          deletedFor: { $ne: userId },
+          ...(lastRead ? buildCursorCondition(lastRead, 'after') : {})
+        });
+
+        const readEntry = (lastRead?.readBy || []).find((r) => String(r.user) === String(userId));
+        await ChatState.create({
+          chat: chat._id,
+          user: userId,
+          lastReadMessage: lastRead?._id || null,
+          lastReadMessageAt: lastRead?.createdAt || null,
+          readAt: readEntry?.readAt || lastRead?.createdAt || null,
+          unreadCount
+        });
+        createdCount++;
+      }
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`  Chats processed: ${chats.length}`);
+    console.log(`  Read states created: ${createdCount}`);
+    console.log(`  Skipped (already exists): ${skippedCount}`);
+    console.log('\n✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    process.exit(1);
+  } finally {
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    console.log('\n🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+// Run migration
+migrateReadState();
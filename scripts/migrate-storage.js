@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Copy existing uploads from the local uploads/ directory to the configured
+ * storage driver (STORAGE_DRIVER, e.g. s3) and point File/Blob records at them
+ *
+ * URLs stored in messages and avatars (/uploads/<name>) do not change, so the
+ * script can run before switching STORAGE_DRIVER on the server. Files already
+ * present in the target are skipped, so it is safe to run again.
+ *
+ * Usage: node scripts/migrate-storage.js [--dry-run] [--delete-local]
+ *   --dry-run       Only list what would be copied
+ *   --delete-local  Remove each local file once it is in the target storage
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Blob = require('../models/Blob');
+const { uploadsDir, createStorage } = require('../utils/storage');
+
+// For files without a File record (older avatars, link preview images)
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.pdf': 'application/pdf',
+};
+
+const getContentType = async (fileName) => {
+  // Thumbnails are written in the format of their image
+  const record = await File.findOne({ $or: [{ fileName }, { thumbnailFileName: fileName }] })
+    .select('mimeType')
+    .lean();
+  if (record) return record.mimeType;
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()];
+};
+
+// Uploaded files only: no partial uploads, temp files or directories
+const listLocalUploads = async () => {
+  const entries = await fs.promises.readdir(uploadsDir, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile() && !entry.name.startsWith('.') && !entry.name.endsWith('.tmp'))
+    .map((entry) => entry.name);
+};
+
+async function migrateStorage() {
+  const dryRun = process.argv.includes('--dry-run');
+  const deleteLocal = process.argv.includes('--delete-local');
+
+  try {
+    const target = createStorage();
+    if (target.name === 'local') {
+      console.error('❌ STORAGE_DRIVER is local: set it to the storage to migrate to (e.g. s3)');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/chatlocal';
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const fileNames = await listLocalUploads();
+    console.log(`\n🔍 Found ${fileNames.length} local uploads, copying to ${target.name}${dryRun ? ' (dry run)' : ''}...`);
+
+    let copiedCount = 0;
+    let skippedCount = 0;
+    let failedCount = 0;
+
+    for (const fileName of fileNames) {
+      const localPath = path.join(uploadsDir, fileName);
+      try {
+        if (dryRun) {
+          if (await target.exists(fileName)) {
+            skippedCount++;
+          } else {
+            console.log(`  • Would copy: ${fileName}`);
+            copiedCount++;
+          }
+          continue;
+        }
+
+        let location;
+        if (await target.exists(fileName)) {
+          location = target.locate(fileName);
+          skippedCount++;
+        } else {
+          // The driver takes over the file it is given, so hand it a copy
+          const copyPath = `${localPath}.migrate.tmp`;
+          await fs.promises.copyFile(localPath, copyPath);
+          try {
+            location = await target.storeFile(fileName, copyPath, { contentType: await getContentType(fileName) });
+          } finally {
+            await fs.promises.rm(copyPath, { force: true });
+          }
+          copiedCount++;
+          console.log(`  ✓ Copied: ${fileName}`);
+        }
+
+        // Also for files copied by an earlier, interrupted run
+        await File.updateMany({ fileName }, { $set: { filePath: location } });
+        await File.updateMany({ thumbnailFileName: fileName }, { $set: { thumbnailPath: location } });
+        await Blob.updateMany({ fileName }, { $set: { filePath: location } });
+        await Blob.updateMany({ thumbnailFileName: fileName }, { $set: { thumbnailPath: location } });
+        await File.updateMany({ 'rendition.fileName': fileName }, { $set: { 'rendition.filePath': location } });
+        await Blob.updateMany({ 'rendition.fileName': fileName }, { $set: { 'rendition.filePath': location } });
+
+        if (deleteLocal) {
+          await fs.promises.unlink(localPath);
+        }
+      } catch (error) {
+        failedCount++;
+        console.error(`  ✗ Failed: ${fileName}:`, error.message);
+      }
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`  Local uploads: ${fileNames.length}`);
+    console.log(`  ${dryRun ? 'To copy' : 'Copied'}: ${copiedCount}`);
+    console.log(`  Skipped (already in target): ${skippedCount}`);
+    console.log(`  Failed: ${failedCount}`);
+    console.log('\n✅ Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    process.exit(1);
+  } finally {
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    console.log('\n🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+// Run migration
+migrateStorage();
@@ -3,9 +3,10 @@ const mongoose = require('mongoose');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
-const path = require('path');
 const morgan = require('morgan');
 require('dotenv').config();
+const { storage } = require('./utils/storage');
+const { protectUploads } = require('./utils/fileAccess');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,18 +31,9 @@ app.use(morgan('dev', {
 app.use(express.json({ limit: '210mb' })); // Slightly larger than file limit
 app.use(express.urlencoded({ extended: true, limit: '210mb' }));
 
-// Serve uploads with AGGRESSIVE caching for images
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-  maxAge: '365d', // Cache for 1 year (like production apps: Zalo, Messenger, WhatsApp)
-  etag: true, // Enable ETag for cache validation
-  lastModified: true, // Enable Last-Modified header
-  immutable: true, // Tell browsers file will never change
-  setHeaders: (res, filePath) => {
-    // Add additional cache headers for better performance
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-    console.log(`📦 [CACHE] Serving cached file: ${path.basename(filePath)}`);
-  }
-}));
+// Serve uploads from the configured storage (local files, or redirects to signed S3 URLs).
+// Attachments need a signed URL or a chat participant's token; avatars stay public.
+app.use('/uploads', protectUploads, storage.serveUploads());
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/chatlocal', {
@@ -79,9 +71,11 @@ app.use('/api/calls', require('./routes/calls'));
 app.use('/api/chats', require('./routes/chats'));
 app.use('/api/groups', require('./routes/groups'));
 app.use('/api/files', require('./routes/files'));
+app.use('/api/uploads', require('./routes/uploads'));
 app.use('/api/push', require('./routes/push'));
 app.use('/api/stream', require('./routes/stream'));
 app.use('/api/webrtc', require('./routes/webrtc'));
+app.use('/api/sync', require('./routes/sync'));
 
 // Public route for group join links (redirect to app)
 app.get('/g/:code', async (req, res) => {
@@ -583,6 +577,18 @@ app.get('/u/:userId', async (req, res) => {
 // Socket.io for real-time chat
 require('./socket/socket')(io);
 
+// Background delivery of scheduled messages
+require('./utils/scheduledMessages').startScheduledMessageRunner(io);
+
+// Purge of expired disappearing messages
+require('./utils/disappearingMessages').startExpiredMessagePurger(io);
+
+// Removal of abandoned resumable uploads
+require('./utils/uploadSessions').startUploadSessionCleanup();
+
+// Video processing (poster frames, duration, renditions) when ffmpeg is installed
+require('./utils/mediaJobs').startMediaJobRunner(io);
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -1,10 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Chat = require('../models/Chat');
-const Message = require('../models/Message');
 const Friend = require('../models/Friend');
-const { sendCallNotification, sendGroupCallNotification, sendCallEndNotification, sendPushNotification, sendFcmNotification, sendApnsNotification } = require('../utils/pushNotifications');
-const { decryptMessageContent } = require('../utils/messageEncryption');
+const { sendCallNotification, sendGroupCallNotification, sendCallEndNotification } = require('../utils/pushNotifications');
+const { editMessage, deleteMessage, setMessageReaction } = require('../utils/messageActions');
+const { sendChatMessage } = require('../utils/messageSender');
+const { markChatRead, markMessageReadBy, markMessagesDelivered } = require('../utils/readState');
+const { getLatestSyncToken, hasChangesSince } = require('../utils/syncLog');
+const { saveDraft } = require('../utils/chatDrafts');
 
 const recentCallEndPushes = new Map();
 const CALL_END_PUSH_TTL_MS = 5000;
@@ -25,31 +28,6 @@ const shouldSendCallEndPush = (key) => {
   return true;
 };
 
-// Helper function to normalize file URL to relative path
-// Converts full URLs like http://172.20.10.3:3000/uploads/file.jpg to /uploads/file.jpg
-function normalizeFileUrl(url) {
-  if (!url) return url;
-  
-  // If it's already a relative path, return as is
-  if (url.startsWith('/')) {
-    return url;
-  }
-  
-  // If it's a full URL, extract the path
-  try {
-    const urlObj = new URL(url);
-    return urlObj.pathname;
-  } catch (e) {
-    // If URL parsing fails, try to extract path manually
-    const match = url.match(/\/uploads\/[^?#]+/);
-    if (match) {
-      return match[0];
-    }
-    // Fallback: return as is if we can't parse it
-    return url;
-  }
-}
-
 module.exports = (io) => {
   const pendingOffers = new Map();
   const OFFER_TTL_MS = 60 * 1000;
@@ -151,6 +129,21 @@ module.exports = (io) => {
       }
     })();
 
+    // Tell a reconnecting client whether it missed changes while offline;
+    // if so it should page through GET /api/sync from its last token
+    (async () => {
+      try {
+        const syncToken = socket.handshake.auth?.syncToken || null;
+        const behind = await hasChangesSince(socket.userId, syncToken);
+        socket.emit('sync-status', {
+          behind,
+          latestToken: await getLatestSyncToken(),
+        });
+      } catch (error) {
+        console.error('Error sending sync status:', error);
+      }
+    })();
+
     // Join all chat rooms user is part of
     Chat.find({ participants: socket.userId }).then(chats => {
       chats.forEach(chat => {
@@ -174,7 +167,18 @@ module.exports = (io) => {
     // Handle new message
     socket.on('send-message', async (data, callback) => {
       try {
-        const { chatId, content, type, file, encryption, previewText } = data;
+        const {
+          chatId,
+          content,
+          type,
+          file,
+          encryption,
+          previewText,
+          replyTo,
+          clientMessageId,
+          mentions,
+          mentionsAll,
+        } = data;
 
         // Verify user is participant
         const chat = await Chat.findById(chatId);
@@ -189,152 +193,37 @@ module.exports = (io) => {
           return;
         }
 
-        // Normalize file URL to relative path if file exists
-        let normalizedFile = file;
-        if (file && file.url) {
-          normalizedFile = {
-            ...file,
-            url: normalizeFileUrl(file.url)
-          };
-        }
-
-        // Create message
-        const message = new Message({
-          chat: chatId,
-          sender: socket.userId,
+        const { messageData, duplicate } = await sendChatMessage({
+          io,
+          chat,
+          senderId: socket.userId,
           content,
-          type: type || 'text',
-          file: normalizedFile || undefined,
-          encryption: encryption || undefined,
+          type,
+          file,
+          encryption,
+          previewText,
+          replyTo,
+          clientMessageId,
+          mentions,
+          mentionsAll,
+          alwaysPushExpo: true,
         });
 
-        await message.save();
-        await message.populate('sender', 'phoneNumber role fullName avatar');
-        await message.populate({
-          path: 'chat',
-          populate: {
-            path: 'groupId',
-            select: 'name code'
-          }
-        });
-
-        // Update chat updatedAt
-        chat.updatedAt = new Date();
-        await chat.save();
-
-        // Prepare message data with chat info
-        const messageData = {
-          ...message.toObject(),
-          chat: {
-            _id: chat._id,
-            isGroup: chat.isGroup,
-            groupId: chat.groupId ? {
-              _id: chat.groupId._id,
-              name: chat.groupId.name,
-              code: chat.groupId.code
-            } : null
-          },
-          createdAt: message.createdAt
-        };
-
-        // Broadcast to all participants in the chat
-        io.to(`chat:${chatId}`).emit('new-message', messageData);
-
-        // Update chat list for all participants
-        chat.participants.forEach(participantId => {
-          io.to(`user:${participantId}`).emit('chat-updated', {
-            chatId: chat._id,
-            lastMessage: message
-          });
-        });
-
-        // Push notification to offline participants
-        try {
-          const sender = await User.findById(socket.userId).select('fullName phoneNumber').lean();
-          const senderName = sender?.fullName || sender?.phoneNumber || 'Người dùng';
-          const recipients = chat.participants.filter(p => p.toString() !== socket.userId.toString());
-
-          await Promise.all(recipients.map(async (participantId) => {
-            try {
-              const recipient = await User.findById(participantId)
-                .select('pushTokens fcmTokens apnsTokens')
-                .lean();
-              if (!recipient) return;
-
-              const expoTokens = (recipient.pushTokens || []).map((t) => t.token).filter(Boolean);
-              const fcmTokens = (recipient.fcmTokens || []).map((t) => t.token).filter(Boolean);
-              const apnsTokens = (recipient.apnsTokens || []).map((t) => t.token).filter(Boolean);
-              if (expoTokens.length === 0 && fcmTokens.length === 0 && apnsTokens.length === 0) return;
-
-              const safePreview = typeof previewText === 'string' && previewText.trim()
-                ? previewText.trim().slice(0, 120)
-                : null;
-              const decryptedPreview = !safePreview && encryption?.alg
-                ? decryptMessageContent(content || '', encryption, chat.encryptionKey)
-                : null;
-              const contentLooksEncrypted = typeof content === 'string' && content.length > 24 && /^[A-Za-z0-9+/=]+$/.test(content);
-              const body =
-                safePreview ||
-                (decryptedPreview ? decryptedPreview.slice(0, 120) : null) ||
-                ((encryption?.alg || contentLooksEncrypted) ? '🔐 Tin nhắn mới' :
-                type === 'image' ? '📷 Hình ảnh' :
-                type === 'video' ? '🎥 Video' :
-                type === 'audio' ? '🎤 Tin nhắn thoại' :
-                type === 'file' ? '📎 Tệp đính kèm' :
-                content || 'Tin nhắn mới');
-
-              const payload = {
-                title: chat.isGroup ? (chat.groupId?.name || 'Nhóm') : senderName,
-                body,
-                sound: 'default',
-                priority: 'high',
-                channelId: 'default',
-                data: {
-                  type: 'message',
-                  chatId: String(chat._id),
-                  messageId: String(message._id),
-                  senderId: String(socket.userId),
-                  senderName,
-                  isGroup: !!chat.isGroup,
-                },
-              };
-
-              if (expoTokens.length) {
-                await sendPushNotification(expoTokens, payload);
-              }
-              if (fcmTokens.length) {
-                const invalidTokens = await sendFcmNotification(fcmTokens, payload);
-                if (invalidTokens && invalidTokens.length > 0) {
-                  await User.updateOne(
-                    { _id: participantId },
-                    { $pull: { fcmTokens: { token: { $in: invalidTokens } } } }
-                  );
-                }
-              }
-              if (apnsTokens.length) {
-                const invalidTokens = await sendApnsNotification(apnsTokens, payload);
-                if (invalidTokens && invalidTokens.length > 0) {
-                  await User.updateOne(
-                    { _id: participantId },
-                    { $pull: { apnsTokens: { token: { $in: invalidTokens } } } }
-                  );
-                }
-              }
-            } catch (pushError) {
-              console.error('Error sending push notification:', pushError);
-            }
-          }));
-        } catch (pushError) {
-          console.error('Error preparing push notification:', pushError);
-        }
+        // The stored message replaces the client's optimistic placeholder (matched by clientMessageId)
         if (typeof callback === 'function') {
-          callback({ success: true, message: messageData });
+          callback({ success: true, message: messageData, clientMessageId: clientMessageId || null, duplicate });
         }
       } catch (error) {
         console.error('Error sending message via socket:', error);
         
         // Handle validation errors
-        if (error.name === 'ValidationError') {
+        if (error.status) {
+          const payload = { message: error.message };
+          socket.emit('error', payload);
+          if (typeof callback === 'function') {
+            callback({ success: false, error: payload });
+          }
+        } else if (error.name === 'ValidationError') {
           const errors = Object.values(error.errors).map(e => e.message);
           console.error('Validation errors:', errors);
           const payload = { 
@@ -359,6 +248,88 @@ module.exports = (io) => {
       }
     });
 
+    // Handle message edit
+    socket.on('edit-message', async (data, callback) => {
+      try {
+        const { chatId, messageId, content, encryption } = data || {};
+        const result = await editMessage({
+          io,
+          chatId,
+          messageId,
+          userId: socket.userId,
+          content,
+          encryption,
+        });
+        if (typeof callback === 'function') {
+          callback({ success: true, message: result });
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error('Error editing message via socket:', error);
+        }
+        const payload = { message: error.status ? error.message : 'Failed to edit message' };
+        socket.emit('error', payload);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: payload });
+        }
+      }
+    });
+
+    // Handle message delete (scope: 'me' | 'everyone')
+    socket.on('delete-message', async (data, callback) => {
+      try {
+        const { chatId, messageId, scope } = data || {};
+        const result = await deleteMessage({
+          io,
+          chatId,
+          messageId,
+          userId: socket.userId,
+          scope: scope || 'me',
+        });
+        if (typeof callback === 'function') {
+          callback({ success: true, message: result });
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error('Error deleting message via socket:', error);
+        }
+        const payload = { message: error.status ? error.message : 'Failed to delete message' };
+        socket.emit('error', payload);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: payload });
+        }
+      }
+    });
+
+    // Handle reactions (emoji: null removes the user's reaction)
+    const handleReaction = (removing) => async (data, callback) => {
+      try {
+        const { chatId, messageId, emoji } = data || {};
+        const result = await setMessageReaction({
+          io,
+          chatId,
+          messageId,
+          userId: socket.userId,
+          emoji: removing ? null : emoji,
+        });
+        if (typeof callback === 'function') {
+          callback({ success: true, message: result });
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error('Error updating reaction via socket:', error);
+        }
+        const payload = { message: error.status ? error.message : 'Failed to update reaction' };
+        socket.emit('error', payload);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: payload });
+        }
+      }
+    };
+
+    socket.on('add-reaction', handleReaction(false));
+    socket.on('remove-reaction', handleReaction(true));
+
     // Handle typing indicator
     socket.on('typing', (data) => {
       const { chatId } = data;
@@ -377,52 +348,89 @@ module.exports = (io) => {
       });
     });
 
-    // Handle mark message as read
+    // Handle mark message as read (moves the chat read cursor up to this message)
     socket.on('mark-message-read', async (data) => {
       try {
-        const { chatId, messageId } = data;
-        
-        // Verify user is participant
-        const chat = await Chat.findById(chatId);
-        if (!chat) {
-          socket.emit('error', { message: 'Chat not found' });
-          return;
-        }
-        
-        const isParticipant = chat.participants.some(p => p.toString() === socket.userId.toString());
-        if (!isParticipant) {
-          socket.emit('error', { message: 'Access denied' });
-          return;
-        }
+        const { chatId, messageId } = data || {};
+        const result = await markChatRead({ io, chatId, messageId, userId: socket.userId });
 
-        // Find message
-        const message = await Message.findById(messageId);
-        if (!message) {
-          socket.emit('error', { message: 'Message not found' });
-          return;
+        // Legacy event for clients that still track per-message reads (Message.readBy)
+        const readBy = messageId ? await markMessageReadBy({ chatId, messageId, userId: socket.userId }) : [];
+        io.to(`chat:${chatId}`).emit('message-read', {
+          chatId,
+          messageId,
+          readBy,
+          userId: socket.userId,
+          readAt: result.readAt
+        });
+      } catch (error) {
+        if (!error.status) {
+          console.error('Error marking message as read:', error);
         }
+        socket.emit('error', { message: error.status ? error.message : 'Failed to mark message as read' });
+      }
+    });
 
-        // Check if already read by this user
-        const alreadyRead = message.readBy.some(r => r.user.toString() === socket.userId.toString());
-        if (!alreadyRead) {
-          message.readBy.push({
-            user: socket.userId,
-            readAt: new Date()
-          });
-          await message.save();
+    // Handle delivery ack: the client confirms it received `new-message` events
+    socket.on('message-delivered', async (data, callback) => {
+      try {
+        const { chatId, messageIds, messageId } = data || {};
+        const result = await markMessagesDelivered({
+          io,
+          chatId,
+          userId: socket.userId,
+          messageIds: messageIds || messageId,
+        });
+        if (typeof callback === 'function') {
+          callback({ success: true, ...result });
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error('Error marking messages as delivered:', error);
+        }
+        if (typeof callback === 'function') {
+          callback({ success: false, error: { message: error.status ? error.message : 'Failed to mark messages as delivered' } });
         }
+      }
+    });
 
-        await message.populate('readBy.user', 'phoneNumber role');
+    // Handle mark chat as read up to a message (newest message when messageId is omitted)
+    socket.on('mark-chat-read', async (data, callback) => {
+      try {
+        const { chatId, messageId } = data || {};
+        const result = await markChatRead({ io, chatId, messageId, userId: socket.userId });
+        if (typeof callback === 'function') {
+          callback({ success: true, ...result });
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error('Error marking chat as read:', error);
+        }
+        const payload = { message: error.status ? error.message : 'Failed to mark chat as read' };
+        socket.emit('error', payload);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: payload });
+        }
+      }
+    });
 
-        // Broadcast read status to all participants
-        io.to(`chat:${chatId}`).emit('message-read', {
-          chatId,
-          messageId,
-          readBy: message.readBy
-        });
+    // Save the chat draft; the user's other devices get `draft-updated`
+    socket.on('update-draft', async (data, callback) => {
+      try {
+        const { chatId, content, encryption, replyTo, updatedAt } = data || {};
+        const result = await saveDraft({ io, chatId, userId: socket.userId, content, encryption, replyTo, updatedAt });
+        if (typeof callback === 'function') {
+          callback({ success: true, ...result });
+        }
       } catch (error) {
-        console.error('Error marking message as read:', error);
-        socket.emit('error', { message: 'Failed to mark message as read' });
+        if (!error.status) {
+          console.error('Error saving draft:', error);
+        }
+        const payload = { message: error.status ? error.message : 'Failed to save draft' };
+        socket.emit('error', payload);
+        if (typeof callback === 'function') {
+          callback({ success: false, error: payload });
+        }
       }
     });
 
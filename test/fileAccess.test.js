@@ -0,0 +1,141 @@
+// Upload access checks against in-memory File / Message / Chat / User / Group
+// collections, so no MongoDB is needed.
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const File = require('../models/File');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { canAccessUpload, canAttachFile, canUseAsAvatar } = require('../utils/fileAccess');
+
+// Just the query operators fileAccess.js uses: equality (array fields contain), $in, $ne, $or
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  if (field === '$or') return condition.some((branch) => matches(doc, branch));
+  const value = field.split('.').reduce((object, key) => object?.[key], doc);
+  const values = Array.isArray(value) ? value : [value];
+  const includes = (expected) => values.some((item) => String(item) === String(expected));
+  if (condition && typeof condition === 'object' && '$in' in condition) return condition.$in.some(includes);
+  if (condition && typeof condition === 'object' && '$ne' in condition) return !includes(condition.$ne);
+  return includes(condition);
+});
+
+const collections = new Map();
+const useCollection = (Model) => {
+  const docs = () => collections.get(Model) || [];
+  Model.exists = async (query) => {
+    const found = docs().find((doc) => matches(doc, query));
+    return found ? { _id: found._id } : null;
+  };
+  Model.findOne = (query) => {
+    const chain = {
+      select: () => chain,
+      lean: async () => docs().find((doc) => matches(doc, query)) || null,
+    };
+    return chain;
+  };
+  Model.distinct = async (field, query) => [...new Set(docs().filter((doc) => matches(doc, query)).map((doc) => doc[field]))];
+};
+[File, Message, Chat, User, Group].forEach(useCollection);
+
+const alice = 'alice';
+const bob = 'bob';
+const carol = 'carol';
+const mallory = 'mallory';
+
+beforeEach(() => {
+  collections.set(File, [
+    // Sent by Alice in a chat with Bob
+    { _id: 'f1', fileName: 'alice-photo.jpg', thumbnailFileName: 'alice-photo-thumb.jpg', uploadedBy: alice },
+    // Mallory only sent the hash of Alice's photo to /check-hash
+    { _id: 'f2', fileName: 'alice-photo.jpg', thumbnailFileName: 'alice-photo-thumb.jpg', uploadedBy: mallory, claimedByHash: true },
+    // Uploaded by Carol, not sent anywhere yet
+    { _id: 'f3', fileName: 'carol-contract.pdf', uploadedBy: carol },
+    { _id: 'f4', fileName: 'mallory-notes.pdf', uploadedBy: mallory },
+    { _id: 'f5', fileName: 'bob-avatar.jpg', uploadedBy: bob },
+  ]);
+  collections.set(Message, [
+    { _id: 'm1', chat: 'chat-ab', file: { url: '/uploads/alice-photo.jpg', thumbnailUrl: '/uploads/alice-photo-thumb.jpg' } },
+  ]);
+  collections.set(Chat, [
+    { _id: 'chat-ab', participants: [alice, bob] },
+    { _id: 'chat-m', participants: [mallory, carol] },
+  ]);
+  collections.set(User, [{ _id: bob, avatar: '/uploads/bob-avatar.jpg' }]);
+  collections.set(Group, []);
+});
+
+describe('canAccessUpload', () => {
+  test('lets uploaders and chat participants fetch an attachment', async () => {
+    assert.equal(await canAccessUpload(alice, 'alice-photo.jpg'), true);
+    assert.equal(await canAccessUpload(bob, 'alice-photo.jpg'), true);
+    assert.equal(await canAccessUpload(bob, 'alice-photo-thumb.jpg'), true);
+    assert.equal(await canAccessUpload(carol, 'carol-contract.pdf'), true);
+  });
+
+  test('does not count a file claimed by hash as an own upload', async () => {
+    assert.equal(await canAccessUpload(mallory, 'alice-photo.jpg'), false);
+    assert.equal(await canAccessUpload(mallory, 'alice-photo-thumb.jpg'), false);
+  });
+
+  test('keeps unsent uploads private to their uploader', async () => {
+    assert.equal(await canAccessUpload(mallory, 'carol-contract.pdf'), false);
+    assert.equal(await canAccessUpload(null, 'carol-contract.pdf'), false);
+  });
+
+  test('serves avatars and link preview images to anyone', async () => {
+    assert.equal(await canAccessUpload(null, 'bob-avatar.jpg'), true);
+    assert.equal(await canAccessUpload(null, 'link-0123abcd.jpg'), true);
+  });
+});
+
+describe('canAttachFile', () => {
+  test('allows own uploads and forwarding attachments of the sender\'s chats', async () => {
+    assert.equal(await canAttachFile(mallory, { url: '/uploads/mallory-notes.pdf' }), true);
+    assert.equal(await canAttachFile(bob, {
+      url: '/uploads/alice-photo.jpg',
+      thumbnailUrl: '/uploads/alice-photo-thumb.jpg',
+    }), true);
+  });
+
+  test('allows public uploads and files that are not uploads', async () => {
+    assert.equal(await canAttachFile(mallory, { url: '/uploads/bob-avatar.jpg' }), true);
+    assert.equal(await canAttachFile(mallory, { url: 'https://example.com/file.pdf' }), true);
+  });
+
+  test('refuses someone else\'s upload, whatever form the URL takes', async () => {
+    assert.equal(await canAttachFile(mallory, { url: '/uploads/carol-contract.pdf' }), false);
+    assert.equal(await canAttachFile(mallory, { url: 'http://192.168.1.10:3000/uploads/carol-contract.pdf' }), false);
+    assert.equal(await canAttachFile(mallory, { url: '/uploads/carol-contract.pdf?expires=1&signature=x' }), false);
+  });
+
+  test('refuses a URL handed out by check-hash for content the sender cannot see', async () => {
+    assert.equal(await canAttachFile(mallory, { url: '/uploads/alice-photo.jpg' }), false);
+    assert.equal(await canAttachFile(mallory, { url: '/uploads/alice-photo-thumb.jpg' }), false);
+  });
+
+  test('checks the thumbnail and rendition URLs too', async () => {
+    assert.equal(await canAttachFile(mallory, {
+      url: '/uploads/mallory-notes.pdf',
+      thumbnailUrl: '/uploads/alice-photo-thumb.jpg',
+    }), false);
+    assert.equal(await canAttachFile(mallory, {
+      url: '/uploads/mallory-notes.pdf',
+      renditionUrl: '/uploads/carol-contract.pdf',
+    }), false);
+  });
+
+  test('stops allowing an attachment once the sender leaves its chat', async () => {
+    collections.set(Chat, [{ _id: 'chat-ab', participants: [alice] }]);
+    assert.equal(await canAttachFile(bob, { url: '/uploads/alice-photo.jpg' }), false);
+  });
+});
+
+describe('canUseAsAvatar', () => {
+  test('accepts only the caller\'s own upload that is not an attachment', async () => {
+    assert.equal(await canUseAsAvatar(mallory, '/uploads/mallory-notes.pdf'), true);
+    assert.equal(await canUseAsAvatar(alice, '/uploads/alice-photo.jpg'), false);
+    assert.equal(await canUseAsAvatar(mallory, '/uploads/alice-photo.jpg'), false);
+    assert.equal(await canUseAsAvatar(mallory, '/uploads/carol-contract.pdf'), false);
+  });
+});
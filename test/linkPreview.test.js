@@ -0,0 +1,338 @@
+// Link previews against local HTTP servers. 127.0.0.1 is let through the SSRF
+// guard so the stand-in sites can be reached; every other internal address stays blocked.
+process.env.LINK_PREVIEW_ALLOW_PRIVATE = '127.0.0.1';
+process.env.LINK_PREVIEW_TIMEOUT_MS = '500';
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const sharp = require('sharp');
+const LinkPreview = require('../models/LinkPreview');
+const { uploadsDir, storage } = require('../utils/storage');
+const { isBlockedAddress, parseOpenGraph, getLinkPreview } = require('../utils/linkPreview');
+
+// In-memory LinkPreview collection, so no MongoDB is needed
+const cache = new Map();
+const leanQuery = (value) => ({ lean: async () => (value ? { ...value } : null) });
+LinkPreview.findOne = ({ url, expiresAt }) => {
+  const entry = cache.get(url);
+  return leanQuery(entry && entry.expiresAt > expiresAt.$gt ? entry : null);
+};
+LinkPreview.findOneAndUpdate = ({ url }, update) => {
+  const entry = { url, ...update.$set };
+  cache.set(url, entry);
+  return leanQuery(entry);
+};
+
+const listen = (handler, host = '127.0.0.1') => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.hits = [];
+  server.on('request', (req) => server.hits.push(req.url));
+  server.listen(0, host, () => {
+    server.origin = `http://${host}:${server.address().port}`;
+    resolve(server);
+  });
+});
+
+const close = (server) => new Promise((resolve) => {
+  server.closeAllConnections();
+  server.close(resolve);
+});
+
+const sendHtml = (res, html) => {
+  res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+  res.end(html);
+};
+
+describe('link previews', () => {
+  let site;
+  let internal;
+  let pngImage;
+  const storedKeys = [];
+
+  before(async () => {
+    pngImage = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#3366ff' } }).png().toBuffer();
+
+    site = await listen((req, res) => {
+      if (req.url === '/article' || req.url === '/article-store-fails') {
+        return sendHtml(res, `<!doctype html><html><head>
+          <title>Fallback title</title>
+          <meta property="og:title" content="Tin mới &amp; nổi bật">
+          <meta property="og:description" content="  Mô tả
+            bài viết  ">
+          <meta property="og:site_name" content="Báo Test">
+          <meta property="og:image" content="/cover.png">
+        </head><body></body></html>`);
+      }
+      if (req.url === '/cover.png') {
+        res.writeHead(200, { 'content-type': 'image/png', 'content-length': pngImage.length });
+        return res.end(pngImage);
+      }
+      if (req.url === '/plain') {
+        return sendHtml(res, '<html><head><title>Only a title</title><meta name="description" content="Meta description"></head></html>');
+      }
+      if (req.url.startsWith('/cached')) {
+        return sendHtml(res, `<html><head><meta property="og:title" content="Cached ${req.url}"></head></html>`);
+      }
+      if (req.url === '/endless') {
+        // The tags are up front and the body never ends: the fetch must stop at the cap
+        res.writeHead(200, { 'content-type': 'text/html' });
+        res.write('<html><head><meta property="og:title" content="Endless page"></head><body>');
+        const chunk = 'x'.repeat(64 * 1024);
+        const timer = setInterval(() => res.write(chunk), 1);
+        res.on('close', () => clearInterval(timer));
+        return;
+      }
+      if (req.url === '/title-after-cap') {
+        return sendHtml(res, `<html><body>${'x'.repeat(600 * 1024)}<title>Too far</title></body></html>`);
+      }
+      if (req.url === '/huge-image-page') {
+        return sendHtml(res, '<html><head><meta property="og:title" content="Big image"><meta property="og:image" content="/huge.png"></head></html>');
+      }
+      if (req.url === '/huge.png') {
+        res.writeHead(200, { 'content-type': 'image/png', 'content-length': 6 * 1024 * 1024 });
+        return res.end();
+      }
+      if (req.url === '/slow-drip') {
+        res.writeHead(200, { 'content-type': 'text/html' });
+        const timer = setInterval(() => res.write(' '), 50);
+        res.on('close', () => clearInterval(timer));
+        return;
+      }
+      if (req.url === '/no-response') {
+        return;
+      }
+      if (req.url === '/redirect-ok') {
+        res.writeHead(302, { location: '/plain' });
+        return res.end();
+      }
+      if (req.url === '/redirect-internal') {
+        res.writeHead(302, { location: `${internal.origin}/secret` });
+        return res.end();
+      }
+      if (req.url === '/redirect-metadata') {
+        res.writeHead(301, { location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      }
+      if (req.url === '/redirect-hostname') {
+        res.writeHead(302, { location: `http://internal.test:${internal.address().port}/secret` });
+        return res.end();
+      }
+      res.writeHead(404);
+      res.end();
+    });
+
+    // Another loopback address, which the guard must never connect to
+    internal = await listen((req, res) => sendHtml(res, '<title>Internal</title>'), '127.0.0.2');
+  });
+
+  after(async () => {
+    await Promise.all(storedKeys.map((key) => storage.removeFile(key)));
+    await close(site);
+    await close(internal);
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    site.hits.length = 0;
+    internal.hits.length = 0;
+  });
+
+  describe('Open Graph extraction', () => {
+    test('reads title, description, site name and image, and stores the image', async () => {
+      const url = `${site.origin}/article`;
+      const preview = await getLinkPreview(url);
+
+      assert.equal(preview.status, 'ready');
+      assert.equal(preview.title, 'Tin mới & nổi bật');
+      assert.equal(preview.description, 'Mô tả bài viết');
+      assert.equal(preview.siteName, 'Báo Test');
+      assert.equal(preview.imageSourceUrl, `${site.origin}/cover.png`);
+
+      const cacheKey = crypto.createHash('sha1').update(url).digest('hex');
+      assert.equal(preview.image.url, `/uploads/link-${cacheKey}.png`);
+      assert.equal(preview.image.thumbnailUrl, `/uploads/link-${cacheKey}-thumb.png`);
+      assert.equal(preview.image.width, 40);
+      assert.equal(preview.image.height, 20);
+      storedKeys.push(`link-${cacheKey}.png`, `link-${cacheKey}-thumb.png`);
+      assert.ok(await storage.exists(`link-${cacheKey}.png`));
+      assert.ok(await storage.exists(`link-${cacheKey}-thumb.png`));
+    });
+
+    test('removes the temporary image files when storing the image fails', async (t) => {
+      t.mock.method(storage, 'storeFile', async () => {
+        throw new Error('Storage unavailable');
+      });
+      const url = `${site.origin}/article-store-fails`;
+      const preview = await getLinkPreview(url);
+
+      assert.equal(preview.status, 'ready');
+      assert.equal(preview.title, 'Tin mới & nổi bật');
+      assert.equal(preview.image, undefined);
+      const cacheKey = crypto.createHash('sha1').update(url).digest('hex');
+      const leftovers = (await fs.promises.readdir(uploadsDir)).filter((name) => name.startsWith(`link-${cacheKey}`));
+      assert.deepEqual(leftovers, []);
+    });
+
+    test('falls back to <title>, the meta description and the host name', async () => {
+      const preview = await getLinkPreview(`${site.origin}/plain`);
+      assert.equal(preview.status, 'ready');
+      assert.equal(preview.title, 'Only a title');
+      assert.equal(preview.description, 'Meta description');
+      assert.equal(preview.siteName, '127.0.0.1');
+      assert.equal(preview.image, undefined);
+    });
+
+    test('parseOpenGraph prefers og: tags over twitter: tags and decodes entities', () => {
+      const parsed = parseOpenGraph(`
+        <meta name="twitter:title" content="Twitter title">
+        <meta content='OG &#39;title&#x27;' property='og:title'>
+        <meta name="twitter:image" content="https://example.com/t.png">
+      `);
+      assert.equal(parsed.title, "OG 'title'");
+      assert.equal(parsed.image, 'https://example.com/t.png');
+      assert.equal(parsed.description, null);
+    });
+
+    test('follows a redirect to a public page', async () => {
+      const preview = await getLinkPreview(`${site.origin}/redirect-ok`);
+      assert.equal(preview.status, 'ready');
+      assert.equal(preview.title, 'Only a title');
+      assert.deepEqual(site.hits, ['/redirect-ok', '/plain']);
+    });
+  });
+
+  describe('cache', () => {
+    test('serves a URL from the cache until it expires', async () => {
+      const url = `${site.origin}/cached-a`;
+      const first = await getLinkPreview(url);
+      const second = await getLinkPreview(url);
+      assert.equal(first.title, 'Cached /cached-a');
+      assert.equal(second.title, 'Cached /cached-a');
+      assert.deepEqual(site.hits, ['/cached-a']);
+
+      cache.get(url).expiresAt = new Date(Date.now() - 1000);
+      await getLinkPreview(url);
+      assert.deepEqual(site.hits, ['/cached-a', '/cached-a']);
+    });
+
+    test('caches per URL and shares one fetch between concurrent requests', async () => {
+      const [a, b, c] = await Promise.all([
+        getLinkPreview(`${site.origin}/cached-b`),
+        getLinkPreview(`${site.origin}/cached-b`),
+        getLinkPreview(`${site.origin}/cached-c`),
+      ]);
+      assert.equal(a.title, 'Cached /cached-b');
+      assert.equal(b.title, 'Cached /cached-b');
+      assert.equal(c.title, 'Cached /cached-c');
+      assert.deepEqual(site.hits.sort(), ['/cached-b', '/cached-c']);
+    });
+
+    test('caches failures too', async () => {
+      const url = `${site.origin}/missing`;
+      assert.equal((await getLinkPreview(url)).status, 'failed');
+      assert.equal((await getLinkPreview(url)).status, 'failed');
+      assert.deepEqual(site.hits, ['/missing']);
+    });
+  });
+
+  describe('size cap and timeout', () => {
+    test('stops reading a page at the HTML cap', async () => {
+      const startedAt = Date.now();
+      const preview = await getLinkPreview(`${site.origin}/endless`);
+      assert.equal(preview.status, 'ready');
+      assert.equal(preview.title, 'Endless page');
+      assert.ok(Date.now() - startedAt < 500, 'returned before the timeout');
+    });
+
+    test('ignores tags past the HTML cap', async () => {
+      const preview = await getLinkPreview(`${site.origin}/title-after-cap`);
+      assert.equal(preview.status, 'failed');
+      assert.equal(preview.error, 'No preview data');
+    });
+
+    test('skips an image larger than the image cap', async () => {
+      const preview = await getLinkPreview(`${site.origin}/huge-image-page`);
+      assert.equal(preview.status, 'ready');
+      assert.equal(preview.title, 'Big image');
+      assert.equal(preview.image, undefined);
+    });
+
+    test('gives up on a page that keeps trickling', async () => {
+      const startedAt = Date.now();
+      const preview = await getLinkPreview(`${site.origin}/slow-drip`);
+      assert.equal(preview.status, 'failed');
+      assert.equal(preview.error, 'Timed out');
+      assert.ok(Date.now() - startedAt < 2000);
+    });
+
+    test('gives up on a server that never answers', async () => {
+      const preview = await getLinkPreview(`${site.origin}/no-response`);
+      assert.equal(preview.status, 'failed');
+      assert.equal(preview.error, 'Timed out');
+    });
+  });
+
+  describe('SSRF guard', () => {
+    test('blocks private, loopback and reserved addresses', () => {
+      [
+        '127.0.0.2', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '192.0.2.1', '198.51.100.7', '203.0.113.200', '::1', '::ffff:10.0.0.1', 'fd00::1', 'fe80::1',
+        '64:ff9b::a00:1', '2002:7f00:1::1',
+      ].forEach((address) => assert.equal(isBlockedAddress(address), true, address));
+      ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'].forEach((address) => {
+        assert.equal(isBlockedAddress(address), false, address);
+      });
+    });
+
+    test('refuses loopback and private IP literals without connecting', async () => {
+      for (const url of [
+        `${internal.origin}/secret`,
+        `http://[::1]:${internal.address().port}/secret`,
+        'http://10.0.0.1/',
+        'http://169.254.169.254/latest/meta-data/',
+      ]) {
+        const preview = await getLinkPreview(url);
+        assert.equal(preview.status, 'failed', url);
+        assert.equal(preview.error, 'URL is not allowed', url);
+      }
+      assert.deepEqual(internal.hits, []);
+    });
+
+    test('refuses a host name that resolves to an internal address', async (t) => {
+      const lookup = dns.lookup;
+      t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        if (hostname === 'internal.test') {
+          return callback(null, [{ address: '127.0.0.2', family: 4 }]);
+        }
+        return lookup(hostname, options, callback);
+      });
+
+      const preview = await getLinkPreview(`http://internal.test:${internal.address().port}/secret`);
+      assert.equal(preview.status, 'failed');
+      assert.match(preview.error, /not allowed/);
+      assert.deepEqual(internal.hits, []);
+    });
+
+    test('refuses redirects to internal addresses', async (t) => {
+      const lookup = dns.lookup;
+      t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        if (hostname === 'internal.test') {
+          return callback(null, [{ address: '127.0.0.2', family: 4 }]);
+        }
+        return lookup(hostname, options, callback);
+      });
+
+      for (const path of ['/redirect-internal', '/redirect-metadata', '/redirect-hostname']) {
+        const preview = await getLinkPreview(`${site.origin}${path}`);
+        assert.equal(preview.status, 'failed', path);
+        assert.match(preview.error, /not allowed/, path);
+      }
+      assert.deepEqual(site.hits, ['/redirect-internal', '/redirect-metadata', '/redirect-hostname']);
+      assert.deepEqual(internal.hits, []);
+    });
+  });
+});
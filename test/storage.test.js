@@ -0,0 +1,295 @@
+// Storage drivers: the local one on the uploads directory, the S3 one against a
+// small in-process stand-in for the S3 REST API (path-style requests).
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { uploadsDir, createStorage } = require('../utils/storage');
+const { createS3Storage } = require('../utils/s3Storage');
+
+// Not representable in latin1, so the name has to go in filename*
+const DOWNLOAD_NAME = 'Báo cáo Đà Nẵng.pdf';
+const ENCODED_DOWNLOAD_NAME = 'B%C3%A1o%20c%C3%A1o%20%C4%90%C3%A0%20N%E1%BA%B5ng.pdf';
+
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => {
+    server.origin = `http://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  });
+});
+
+const close = (server) => new Promise((resolve) => {
+  server.closeAllConnections();
+  server.close(resolve);
+});
+
+const uniqueKey = (ext) => `storage-test-${crypto.randomBytes(6).toString('hex')}${ext}`;
+
+const writeTempFile = async (dir, content) => {
+  const filePath = path.join(dir, `${uniqueKey('')}.tmp`);
+  await fs.promises.writeFile(filePath, content);
+  return filePath;
+};
+
+// App with the driver's /uploads handler and a download route, as in server.js / routes/files.js
+const createApp = (storage) => {
+  const app = express();
+  app.use('/uploads', storage.serveUploads());
+  app.get('/download/:key', (req, res) => storage.sendDownload(res, req.params.key, DOWNLOAD_NAME));
+  return app;
+};
+
+// Body of an `aws-chunked` upload (the SDK streams bodies that way to send a trailing checksum)
+const decodeAwsChunked = (body) => {
+  const chunks = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    const size = parseInt(body.subarray(offset, lineEnd).toString().split(';')[0], 16);
+    if (!size) break;
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+};
+
+// Just enough of S3 for the driver: PUT, GET, HEAD and DELETE of /<bucket>/<key>
+const createFakeS3 = () => {
+  const objects = new Map();
+  const requests = [];
+
+  const handler = async (req, res) => {
+    const url = new URL(req.url, 'http://s3.local');
+    const objectPath = decodeURIComponent(url.pathname.slice(1));
+    requests.push({ method: req.method, path: objectPath, query: url.searchParams, headers: req.headers });
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    let body = Buffer.concat(chunks);
+
+    if (objectPath.endsWith('/forbidden')) {
+      res.writeHead(403, { 'content-type': 'application/xml' });
+      return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>AccessDenied</Code></Error>');
+    }
+
+    if (req.method === 'PUT') {
+      const streamed = (req.headers['content-encoding'] || '').includes('aws-chunked')
+        || (req.headers['x-amz-content-sha256'] || '').startsWith('STREAMING-');
+      if (streamed) body = decodeAwsChunked(body);
+      objects.set(objectPath, {
+        body,
+        contentType: req.headers['content-type'],
+        cacheControl: req.headers['cache-control'],
+      });
+      res.writeHead(200, { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+      return res.end();
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(objectPath);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const object = objects.get(objectPath);
+    if (!object) {
+      res.writeHead(404, { 'content-type': 'application/xml' });
+      return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+    }
+    const headers = {
+      'content-type': object.contentType || 'application/octet-stream',
+      'content-length': object.body.length,
+    };
+    if (url.searchParams.get('response-content-disposition')) {
+      headers['content-disposition'] = url.searchParams.get('response-content-disposition');
+    }
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : object.body);
+  };
+
+  return { objects, requests, handler };
+};
+
+describe('local storage', () => {
+  const storage = createStorage('local');
+  const key = uniqueKey('.pdf');
+  const content = Buffer.from('local file content');
+  let app;
+  let downloadDir;
+
+  before(async () => {
+    app = await listen(createApp(storage));
+    downloadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  after(async () => {
+    await storage.removeFile(key);
+    await fs.promises.rm(downloadDir, { recursive: true, force: true });
+    await close(app);
+  });
+
+  test('storeFile moves the file into the uploads directory', async () => {
+    const localPath = await writeTempFile(uploadsDir, content);
+    const location = await storage.storeFile(key, localPath, { contentType: 'application/pdf' });
+
+    assert.equal(location, path.join(uploadsDir, key));
+    assert.equal(storage.locate(key), location);
+    assert.deepEqual(await fs.promises.readFile(location), content);
+    assert.equal(fs.existsSync(localPath), false);
+  });
+
+  test('keys cannot leave the uploads directory', () => {
+    assert.equal(storage.locate('../../etc/passwd'), path.join(uploadsDir, 'passwd'));
+  });
+
+  test('exists and downloadFile', async () => {
+    assert.equal(await storage.exists(key), true);
+    assert.equal(await storage.exists(uniqueKey('.pdf')), false);
+
+    const localPath = path.join(downloadDir, 'copy.pdf');
+    assert.equal(await storage.downloadFile(key, localPath), localPath);
+    assert.deepEqual(await fs.promises.readFile(localPath), content);
+    assert.equal(await storage.exists(key), true, 'the stored file is kept');
+  });
+
+  test('serveUploads serves the file with long-lived caching', async () => {
+    const response = await fetch(`${app.origin}/uploads/${key}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), content);
+  });
+
+  test('sendDownload sends the file as an attachment under its original name', async () => {
+    const response = await fetch(`${app.origin}/download/${key}`);
+    assert.equal(response.status, 200);
+    const disposition = response.headers.get('content-disposition');
+    assert.match(disposition, /^attachment;/);
+    assert.ok(disposition.includes(`filename*=UTF-8''${ENCODED_DOWNLOAD_NAME}`), disposition);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), content);
+  });
+
+  test('removeFile deletes the file and ignores missing ones', async () => {
+    await storage.removeFile(key);
+    assert.equal(await storage.exists(key), false);
+    await storage.removeFile(key);
+  });
+});
+
+describe('s3 storage', () => {
+  const ttl = 600;
+  const fakeS3 = createFakeS3();
+  const key = uniqueKey('.pdf');
+  const content = Buffer.from('s3 object content');
+  let s3;
+  let storage;
+  let app;
+  let workDir;
+
+  before(async () => {
+    s3 = await listen(fakeS3.handler);
+    storage = createS3Storage({
+      bucket: 'chat-uploads',
+      region: 'us-east-1',
+      endpoint: s3.origin,
+      forcePathStyle: true,
+      accessKeyId: 'test-access-key',
+      secretAccessKey: 'test-secret-key',
+      prefix: 'uploads/',
+      signedUrlTtlSeconds: ttl,
+    });
+    app = await listen(createApp(storage));
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    await close(app);
+    await close(s3);
+  });
+
+  test('requires a bucket', () => {
+    assert.throws(() => createS3Storage({ region: 'us-east-1' }), /S3_BUCKET is required/);
+  });
+
+  test('storeFile uploads the object under the prefix and removes the local file', async () => {
+    const localPath = await writeTempFile(workDir, content);
+    const location = await storage.storeFile(key, localPath, { contentType: 'application/pdf' });
+
+    assert.equal(location, `s3://chat-uploads/uploads/${key}`);
+    assert.equal(storage.locate(key), location);
+    const object = fakeS3.objects.get(`chat-uploads/uploads/${key}`);
+    assert.deepEqual(object.body, content);
+    assert.equal(object.contentType, 'application/pdf');
+    assert.equal(object.cacheControl, 'public, max-age=31536000, immutable');
+    assert.equal(fs.existsSync(localPath), false);
+
+    const put = fakeS3.requests.find((request) => request.method === 'PUT');
+    assert.match(put.headers.authorization, /^AWS4-HMAC-SHA256 Credential=test-access-key\//);
+  });
+
+  test('exists tells present and missing objects apart and reports other errors', async () => {
+    assert.equal(await storage.exists(key), true);
+    assert.equal(await storage.exists(uniqueKey('.pdf')), false);
+    await assert.rejects(storage.exists('forbidden'));
+  });
+
+  test('downloadFile copies the object to local disk', async () => {
+    const localPath = path.join(workDir, 'copy.pdf');
+    assert.equal(await storage.downloadFile(key, localPath), localPath);
+    assert.deepEqual(await fs.promises.readFile(localPath), content);
+  });
+
+  test('getSignedUrl signs a GET of the object', async () => {
+    const url = new URL(await storage.getSignedUrl(key));
+    assert.equal(url.origin, s3.origin);
+    assert.equal(decodeURIComponent(url.pathname), `/chat-uploads/uploads/${key}`);
+    assert.equal(url.searchParams.get('X-Amz-Expires'), String(ttl));
+    assert.ok(url.searchParams.get('X-Amz-Signature'));
+
+    const shortUrl = new URL(await storage.getSignedUrl(key, { expiresIn: 60 }));
+    assert.equal(shortUrl.searchParams.get('X-Amz-Expires'), '60');
+  });
+
+  test('serveUploads redirects to a signed URL', async () => {
+    const response = await fetch(`${app.origin}/uploads/${key}`, { redirect: 'manual' });
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('cache-control'), `private, max-age=${ttl / 2}`);
+
+    const location = new URL(response.headers.get('location'));
+    assert.equal(decodeURIComponent(location.pathname), `/chat-uploads/uploads/${key}`);
+    assert.ok(location.searchParams.get('X-Amz-Signature'));
+    assert.equal(location.searchParams.get('response-content-disposition'), null);
+
+    const object = await fetch(location);
+    assert.equal(object.status, 200);
+    assert.deepEqual(Buffer.from(await object.arrayBuffer()), content);
+  });
+
+  test('sendDownload redirects to a URL that downloads under the original name', async () => {
+    const response = await fetch(`${app.origin}/download/${key}`, { redirect: 'manual' });
+    assert.equal(response.status, 302);
+
+    const location = new URL(response.headers.get('location'));
+    assert.ok(location.searchParams.get('X-Amz-Signature'));
+    assert.equal(
+      location.searchParams.get('response-content-disposition'),
+      `attachment; filename*=UTF-8''${ENCODED_DOWNLOAD_NAME}`
+    );
+
+    const object = await fetch(location);
+    assert.equal(object.headers.get('content-disposition'), `attachment; filename*=UTF-8''${ENCODED_DOWNLOAD_NAME}`);
+    assert.deepEqual(Buffer.from(await object.arrayBuffer()), content);
+  });
+
+  test('removeFile deletes the object', async () => {
+    await storage.removeFile(key);
+    assert.equal(await storage.exists(key), false);
+    assert.equal(fakeS3.objects.size, 0);
+    await storage.removeFile(key);
+  });
+});
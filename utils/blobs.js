@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Blob = require('../models/Blob');
+const File = require('../models/File');
+const { createActionError } = require('./messageActions');
+const { releaseBlob } = require('./fileCleanup');
+const { canAccessUpload } = require('./fileAccess');
+
+const CONTENT_HASH_PATTERN = /^[a-f0-9]{64}$/;
+const STORE_ATTEMPTS = 3;
+
+// sha256 (hex) of a file on disk
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// Take a reference on the stored blob with this hash, if there is one.
+// A blob at zero references is being removed and is not handed out again.
+const acquireBlob = (hash) => Blob.findOneAndUpdate(
+  { hash, refCount: { $gt: 0 } },
+  { $inc: { refCount: 1 } },
+  { new: true }
+);
+
+/**
+ * Register freshly processed content as a blob with one reference. If the same
+ * content was stored concurrently, that blob gets the reference instead and
+ * `created` is false: the caller then removes its own copy.
+ * @returns {Promise<{ blob: Object, created: boolean }>}
+ */
+async function storeBlob(data) {
+  for (let attempt = 1; attempt <= STORE_ATTEMPTS; attempt += 1) {
+    try {
+      const blob = await Blob.create({ ...data, refCount: 1 });
+      return { blob, created: true };
+    } catch (error) {
+      if (error.code !== 11000 || attempt === STORE_ATTEMPTS) throw error;
+      const blob = await acquireBlob(data.hash);
+      if (blob) return { blob, created: false };
+      // The existing blob is being removed right now; try again once it is gone
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('Could not store blob');
+}
+
+/**
+ * File record for a user pointing at a blob the caller holds a reference on.
+ * The reference is given back if the record cannot be created.
+ */
+async function createBlobFile(blob, { originalName, userId, claimedByHash = false }) {
+  try {
+    return await File.create({
+      fileName: blob.fileName,
+      originalName,
+      filePath: blob.filePath,
+      mimeType: blob.mimeType,
+      fileSize: blob.fileSize,
+      blob: blob._id,
+      contentHash: blob.hash,
+      uploadedBy: userId,
+      claimedByHash,
+      thumbnailPath: blob.thumbnailPath,
+      thumbnailFileName: blob.thumbnailFileName,
+      width: blob.width,
+      height: blob.height,
+      processingStatus: blob.processingStatus,
+      duration: blob.duration,
+      rendition: blob.rendition?.fileName ? blob.toObject().rendition : undefined
+    });
+  } catch (error) {
+    await releaseBlob(blob._id, 1);
+    throw error;
+  }
+}
+
+/**
+ * "Check hash first": when content with this sha256 (of the original bytes) is
+ * already stored, give the user a File for it so the upload can be skipped.
+ * The size has to match as well, so a bare hash is not enough to claim content.
+ * Only content the user can already fetch is handed out, and a claimed File does
+ * not count as their own upload (utils/fileAccess.js).
+ * @returns {Promise<Object|null>} The new File, or null when the file must be uploaded
+ */
+async function claimFileByHash({ hash, size, originalName, userId }) {
+  const contentHash = String(hash || '').toLowerCase();
+  if (!CONTENT_HASH_PATTERN.test(contentHash)) {
+    throw createActionError(400, 'hash must be a sha256 hex digest');
+  }
+  if (!Number.isInteger(Number(size)) || Number(size) <= 0) {
+    throw createActionError(400, 'size is required');
+  }
+
+  const stored = await Blob.findOne({ hash: contentHash }).select('size fileName').lean();
+  if (!stored || stored.size !== Number(size)) return null;
+  // Only content the user can already see: anything else could not be attached
+  // (sendChatMessage), so the client uploads it instead
+  if (!(await canAccessUpload(userId, stored.fileName))) return null;
+
+  const blob = await acquireBlob(contentHash);
+  if (!blob) return null;
+  return createBlobFile(blob, { originalName: originalName || blob.fileName, userId, claimedByHash: true });
+}
+
+module.exports = {
+  hashFile,
+  acquireBlob,
+  storeBlob,
+  createBlobFile,
+  claimFileByHash,
+};
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const ChatState = require('../models/ChatState');
+const { createActionError, getChatForParticipant } = require('./messageActions');
+const { recordSyncEvent } = require('./syncLog');
+
+const MAX_DRAFT_LENGTH = 20000;
+// Client clocks may run slightly ahead; anything further in the future is clamped
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const formatDraft = (chatId, draft) => ({
+  chatId: String(chatId),
+  content: draft?.content || '',
+  encryption: draft?.encryption?.iv ? draft.encryption : null,
+  replyTo: draft?.replyTo ? String(draft.replyTo) : null,
+  updatedAt: draft?.updatedAt || null,
+});
+
+const hasDraft = (state) => !!state?.draft?.content;
+
+async function getDraft({ chatId, userId }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  const state = await ChatState.findOne({ chat: chat._id, user: userId }).select('draft').lean();
+  return formatDraft(chat._id, state?.draft);
+}
+
+/**
+ * Save the user's draft for a chat. `updatedAt` is when the client last edited
+ * it; an older write than the stored one is ignored (last write wins) and the
+ * stored draft is returned with `applied: false`. Empty content clears the draft.
+ */
+async function saveDraft({ io, chatId, userId, content = '', encryption, replyTo, updatedAt }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  if (typeof content !== 'string' || content.length > MAX_DRAFT_LENGTH) {
+    throw createActionError(400, 'Invalid draft content');
+  }
+  if (replyTo && !mongoose.Types.ObjectId.isValid(replyTo)) {
+    throw createActionError(400, 'Invalid reply target');
+  }
+
+  const now = Date.now();
+  const clientTime = updatedAt ? new Date(updatedAt).getTime() : now;
+  if (Number.isNaN(clientTime)) {
+    throw createActionError(400, 'Invalid updatedAt');
+  }
+  const editedAt = new Date(Math.min(clientTime, now + MAX_CLOCK_SKEW_MS));
+
+  const draft = {
+    content,
+    encryption: content && encryption?.iv ? encryption : undefined,
+    replyTo: content && replyTo ? replyTo : null,
+    updatedAt: editedAt,
+  };
+
+  // Make sure the state exists, then only overwrite an older draft
+  await ChatState.updateOne(
+    { chat: chat._id, user: userId },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+  const updated = await ChatState.findOneAndUpdate(
+    {
+      chat: chat._id,
+      user: userId,
+      $or: [{ 'draft.updatedAt': null }, { 'draft.updatedAt': { $lt: editedAt } }],
+    },
+    { $set: { draft } },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    const current = await ChatState.findOne({ chat: chat._id, user: userId }).select('draft').lean();
+    return { ...formatDraft(chat._id, current?.draft), applied: false };
+  }
+
+  const payload = formatDraft(chat._id, updated.draft);
+  await recordSyncEvent({ user: userId, type: 'draft-updated', data: payload });
+  if (io) {
+    // The user's other devices pick up the draft
+    io.to(`user:${userId}`).emit('draft-updated', payload);
+  }
+  return { ...payload, applied: true };
+}
+
+module.exports = {
+  hasDraft,
+  getDraft,
+  saveDraft,
+};
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const ChatState = require('../models/ChatState');
+const Message = require('../models/Message');
+const CallHistory = require('../models/CallHistory');
+const { createActionError } = require('./messageActions');
+const { getMessagePreviewText } = require('./messageFormatting');
+const { signFileUrls } = require('./fileAccess');
+const { getChatStates } = require('./readState');
+const { formatPreferences } = require('./chatPreferences');
+const { hasDraft } = require('./chatDrafts');
+
+const DEFAULT_CHAT_PAGE = 20;
+const MAX_CHAT_PAGE = 50;
+const MISSED_CALLS_DAYS = 7;
+
+// Opaque cursor for a chat list position: (updatedAt, _id)
+const encodeChatCursor = (chat) =>
+  Buffer.from(`${new Date(chat.updatedAt).getTime()}:${chat._id}`).toString('base64url');
+
+const decodeChatCursor = (cursor) => {
+  try {
+    const [time, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+    const updatedAt = new Date(Number(time));
+    if (Number.isNaN(updatedAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { updatedAt, _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Missed calls per chat over the last week, in one query
+const countMissedCalls = async (userId, chatIds) => {
+  const since = new Date(Date.now() - MISSED_CALLS_DAYS * 24 * 60 * 60 * 1000);
+  const counts = await CallHistory.aggregate([
+    {
+      $match: {
+        chat: { $in: chatIds },
+        receiver: new mongoose.Types.ObjectId(String(userId)),
+        status: 'missed',
+        createdAt: { $gte: since },
+      },
+    },
+    { $group: { _id: '$chat', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((entry) => [String(entry._id), entry.count]));
+};
+
+// Newest message of each chat the user can still see (one indexed lookup per chat)
+const getLastMessages = async (userId, chatIds) => {
+  const messages = await Promise.all(chatIds.map((chatId) =>
+    Message.findOne({ chat: chatId, deletedFor: { $ne: userId } })
+      .populate('sender', 'phoneNumber role fullName avatar')
+      .select('-revisions -deletedFor -deliveredTo -readBy')
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+  ));
+  return new Map(messages.filter(Boolean).map((message) => [String(message.chat), message]));
+};
+
+const buildPresence = (participant) => ({
+  _id: participant._id,
+  phoneNumber: participant.phoneNumber,
+  fullName: participant.fullName,
+  avatar: participant.avatar,
+  isOnline: !!participant.isOnline,
+  lastSeenAt: participant.lastSeenAt || null,
+});
+
+const buildChatListItem = (chat, { userId, lastMessage, chatState, missedCallsCount }) => {
+  const chatObject = chat.toObject();
+  const otherParticipant = chat.isGroup
+    ? null
+    : (chatObject.participants || []).find((p) => p?._id && String(p._id) !== String(userId)) || null;
+  const group = chat.isGroup ? chatObject.groupId : null;
+
+  const { chatId, ...preferences } = formatPreferences(chat._id, chatState);
+
+  return {
+    ...chatObject,
+    title: group ? group.name : (otherParticipant?.fullName || otherParticipant?.phoneNumber || null),
+    avatar: group ? group.avatar || null : otherParticipant?.avatar || null,
+    otherParticipant: otherParticipant ? buildPresence(otherParticipant) : null,
+    lastMessage: lastMessage
+      ? {
+          ...lastMessage,
+          file: signFileUrls(lastMessage.file),
+          preview: getMessagePreviewText(lastMessage, chat.encryptionKey),
+        }
+      : null,
+    unreadCount: chatState?.unreadCount || 0,
+    lastReadMessageId: chatState?.lastReadMessage || null,
+    ...preferences,
+    hasDraft: hasDraft(chatState),
+    draft: hasDraft(chatState)
+      ? { content: chatState.draft.content, encryption: chatState.draft.encryption || null, updatedAt: chatState.draft.updatedAt }
+      : null,
+    missedCallsCount: missedCallsCount || 0,
+  };
+};
+
+// Chat ids the user has pinned (newest pin first), archived or muted
+const getPreferenceSets = async (userId) => {
+  const now = new Date();
+  const states = await ChatState.find({
+    user: userId,
+    $or: [
+      { pinnedAt: { $ne: null } },
+      { archivedAt: { $ne: null } },
+      { mutedUntil: { $gt: now } },
+    ],
+  })
+    .select('chat pinnedAt archivedAt mutedUntil')
+    .lean();
+
+  return {
+    pinned: states
+      .filter((state) => state.pinnedAt)
+      .sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt))
+      .map((state) => state.chat),
+    archived: states.filter((state) => state.archivedAt).map((state) => state.chat),
+    muted: states.filter((state) => state.mutedUntil && new Date(state.mutedUntil) > now).map((state) => state.chat),
+  };
+};
+
+// Query for the user's chats matching the archived/muted filters
+const buildFilterQuery = (userId, { archived, muted }, sets) => {
+  const conditions = [{ participants: userId }];
+  if (archived === 'true') {
+    conditions.push({ _id: { $in: sets.archived } });
+  } else if (archived !== 'all') {
+    conditions.push({ _id: { $nin: sets.archived } });
+  }
+  if (muted === 'true') {
+    conditions.push({ _id: { $in: sets.muted } });
+  } else if (muted === 'false') {
+    conditions.push({ _id: { $nin: sets.muted } });
+  }
+  return { $and: conditions };
+};
+
+const CHAT_POPULATE = [
+  { path: 'participants', select: 'phoneNumber role fullName avatar isOnline lastSeenAt' },
+  { path: 'groupId', select: 'name code avatar' },
+];
+
+/**
+ * The user's chats with everything the inbox needs: last message preview, the
+ * other participant's presence, unread count, pin/archive/mute state, draft and
+ * group name/avatar. Pinned chats come first (newest pin first), then the rest by
+ * most recent activity.
+ * Filters: `archived` ('false' by default, 'true' or 'all') and `muted` ('true' / 'false').
+ * Without `limit`/`cursor` every chat is returned (legacy array); with them the
+ * unpinned chats are paged by (updatedAt, _id) and the pinned ones are all on the first page.
+ * @returns {Promise<Array|{ chats: Array, hasMore: boolean, nextCursor: string|null }>}
+ */
+async function listUserChats({ userId, limit, cursor, archived, muted }) {
+  const paged = limit !== undefined || cursor !== undefined;
+  const sets = await getPreferenceSets(userId);
+  const filterQuery = buildFilterQuery(userId, { archived, muted }, sets);
+
+  const query = { $and: [...filterQuery.$and, { _id: { $nin: sets.pinned } }] };
+  if (cursor) {
+    const position = decodeChatCursor(cursor);
+    if (!position) {
+      throw createActionError(400, 'Invalid cursor');
+    }
+    query.$and.push({
+      $or: [
+        { updatedAt: { $lt: position.updatedAt } },
+        { updatedAt: position.updatedAt, _id: { $lt: position._id } },
+      ],
+    });
+  }
+
+  const limitNum = Math.min(parseInt(limit, 10) || DEFAULT_CHAT_PAGE, MAX_CHAT_PAGE);
+  let chatQuery = Chat.find(query)
+    .populate(CHAT_POPULATE)
+    .sort({ updatedAt: -1, _id: -1 });
+  if (paged) {
+    chatQuery = chatQuery.limit(limitNum + 1);
+  }
+  const found = await chatQuery;
+
+  const hasMore = paged && found.length > limitNum;
+  const unpinned = hasMore ? found.slice(0, limitNum) : found;
+
+  let pinned = [];
+  if (!cursor && sets.pinned.length) {
+    const pinnedChats = await Chat.find({ $and: [...filterQuery.$and, { _id: { $in: sets.pinned } }] })
+      .populate(CHAT_POPULATE);
+    const order = new Map(sets.pinned.map((id, index) => [String(id), index]));
+    pinned = pinnedChats.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+  }
+  const chats = [...pinned, ...unpinned];
+
+  // Older chats get their key on save (see models/Chat.js)
+  await Promise.all(chats.filter((chat) => !chat.encryptionKey).map((chat) => chat.save()));
+
+  const chatIds = chats.map((chat) => chat._id);
+  const [lastMessages, chatStates, missedCalls] = await Promise.all([
+    getLastMessages(userId, chatIds),
+    getChatStates(userId, chatIds),
+    countMissedCalls(userId, chatIds),
+  ]);
+
+  const items = chats.map((chat) => buildChatListItem(chat, {
+    userId,
+    lastMessage: lastMessages.get(String(chat._id)),
+    chatState: chatStates.get(String(chat._id)),
+    missedCallsCount: missedCalls.get(String(chat._id)),
+  }));
+
+  if (!paged) return items;
+  return {
+    chats: items,
+    hasMore,
+    nextCursor: hasMore ? encodeChatCursor(unpinned[unpinned.length - 1]) : null,
+  };
+}
+
+module.exports = {
+  listUserChats,
+};
@@ -0,0 +1,108 @@
+const ChatState = require('../models/ChatState');
+const { createActionError, getChatForParticipant } = require('./messageActions');
+const { recordSyncEvent } = require('./syncLog');
+
+// `mutedUntil: 'forever'` is stored as this date
+const MUTED_FOREVER = new Date('9999-12-31T00:00:00.000Z');
+
+const isMuted = (state, now = new Date()) => !!state?.mutedUntil && new Date(state.mutedUntil) > now;
+
+const formatPreferences = (chatId, state) => ({
+  chatId: String(chatId),
+  isPinned: !!state?.pinnedAt,
+  pinnedAt: state?.pinnedAt || null,
+  isArchived: !!state?.archivedAt,
+  archivedAt: state?.archivedAt || null,
+  mutedUntil: isMuted(state) ? state.mutedUntil : null,
+  unarchiveOnNewMessage: state?.unarchiveOnNewMessage !== false,
+});
+
+const parseMutedUntil = (value) => {
+  if (value === null || value === false) return null;
+  if (value === 'forever' || value === true) return MUTED_FOREVER;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createActionError(400, 'Invalid mutedUntil');
+  }
+  return date > new Date() ? date : null;
+};
+
+const emitPreferences = async (io, userId, preferences) => {
+  await recordSyncEvent({ user: userId, type: 'chat-preferences', data: preferences });
+  if (io) {
+    io.to(`user:${userId}`).emit('chat-preferences-updated', preferences);
+  }
+};
+
+/**
+ * Update the user's preferences for a chat. Every field is optional:
+ * - pinned: keep the chat at the top of the list
+ * - archived: hide it from the inbox
+ * - mutedUntil: ISO date, 'forever' or null to unmute
+ * - unarchiveOnNewMessage: whether a new message brings an archived chat back
+ */
+async function updateChatPreferences({ io, chatId, userId, pinned, archived, mutedUntil, unarchiveOnNewMessage }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  const now = new Date();
+
+  const update = {};
+  if (pinned !== undefined) update.pinnedAt = pinned ? now : null;
+  if (archived !== undefined) update.archivedAt = archived ? now : null;
+  if (mutedUntil !== undefined) update.mutedUntil = parseMutedUntil(mutedUntil);
+  if (unarchiveOnNewMessage !== undefined) update.unarchiveOnNewMessage = !!unarchiveOnNewMessage;
+  if (!Object.keys(update).length) {
+    throw createActionError(400, 'No preferences to update');
+  }
+
+  // Re-pinning a pinned chat keeps its position
+  const current = await ChatState.findOne({ chat: chat._id, user: userId }).select('pinnedAt').lean();
+  if (update.pinnedAt && current?.pinnedAt) {
+    update.pinnedAt = current.pinnedAt;
+  }
+
+  const state = await ChatState.findOneAndUpdate(
+    { chat: chat._id, user: userId },
+    { $set: update, $setOnInsert: { createdAt: now } },
+    { upsert: true, new: true }
+  ).lean();
+
+  const preferences = formatPreferences(chat._id, state);
+  await emitPreferences(io, userId, preferences);
+  return preferences;
+}
+
+// Bring the chat back to the inbox of participants who archived it, when they allow it
+async function unarchiveOnNewMessage(io, chat) {
+  const states = await ChatState.find({
+    chat: chat._id,
+    archivedAt: { $ne: null },
+    unarchiveOnNewMessage: { $ne: false },
+  }).lean();
+  if (!states.length) return;
+
+  await ChatState.updateMany(
+    { _id: { $in: states.map((state) => state._id) } },
+    { $set: { archivedAt: null } }
+  );
+  await Promise.all(states.map((state) =>
+    emitPreferences(io, state.user, formatPreferences(chat._id, { ...state, archivedAt: null }))
+  ));
+}
+
+// Participants of the chat who have it muted right now
+async function getMutedUserIds(chatId, userIds) {
+  const states = await ChatState.find({
+    chat: chatId,
+    user: { $in: userIds },
+    mutedUntil: { $gt: new Date() },
+  }).select('user').lean();
+  return new Set(states.map((state) => String(state.user)));
+}
+
+module.exports = {
+  isMuted,
+  formatPreferences,
+  updateChatPreferences,
+  unarchiveOnNewMessage,
+  getMutedUserIds,
+};
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { createActionError, getChatForParticipant, isChatAdmin } = require('./messageActions');
+const { postSystemMessage } = require('./messageSender');
+const { releaseMessageFile } = require('./fileCleanup');
+const { recountUnread } = require('./readState');
+const { recordSyncEvent } = require('./syncLog');
+
+// Allowed timers (seconds) and how they read in system messages
+const MESSAGE_TTL_OPTIONS = {
+  86400: '24 giờ',
+  604800: '7 ngày',
+  2592000: '30 ngày',
+  7776000: '90 ngày',
+};
+const EXPIRED_PURGE_INTERVAL_MS = parseInt(process.env.EXPIRED_PURGE_INTERVAL_MS || '60000', 10);
+const PURGE_BATCH_SIZE = 200;
+
+/**
+ * Turn disappearing messages on (one of MESSAGE_TTL_OPTIONS) or off (null / 0)
+ * for a chat. Only messages sent after the change expire.
+ */
+async function setChatMessageTtl({ io, chatId, userId, ttlSeconds }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  const ttl = ttlSeconds ? parseInt(ttlSeconds, 10) : null;
+  if (ttl !== null && !MESSAGE_TTL_OPTIONS[ttl]) {
+    throw createActionError(400, `ttlSeconds must be one of ${Object.keys(MESSAGE_TTL_OPTIONS).join(', ')} or null`);
+  }
+  if (!(await isChatAdmin(chat, userId))) {
+    throw createActionError(403, 'Only group admins can change disappearing messages');
+  }
+
+  if ((chat.messageTtlSeconds || null) !== ttl) {
+    chat.messageTtlSeconds = ttl;
+    await chat.save();
+
+    const payload = { chatId: String(chat._id), messageTtlSeconds: ttl, updatedBy: String(userId) };
+    await recordSyncEvent({ chat: chat._id, type: 'chat-disappearing-updated', data: payload });
+    if (io) {
+      io.to(`chat:${chat._id}`).emit('chat-disappearing-updated', payload);
+    }
+
+    await postSystemMessage({
+      io,
+      chat,
+      actorId: userId,
+      event: 'disappearing-updated',
+      text: ttl
+        ? `đã bật tin nhắn tự xóa sau ${MESSAGE_TTL_OPTIONS[ttl]}`
+        : 'đã tắt tin nhắn tự xóa',
+      data: { ttlSeconds: ttl },
+    });
+  }
+
+  return { chatId: String(chat._id), messageTtlSeconds: chat.messageTtlSeconds || null };
+}
+
+// Delete one batch of expired messages; returns how many were removed
+const purgeExpiredBatch = async (io) => {
+  const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+    .select('chat sender file')
+    .limit(PURGE_BATCH_SIZE)
+    .lean();
+  if (!expired.length) return 0;
+
+  await Message.deleteMany({ _id: { $in: expired.map((message) => message._id) } });
+
+  // Messages are gone first, so an upload shared only within this batch is released too
+  for (const message of expired) {
+    if (message.file?.url) {
+      await releaseMessageFile(message.file, message._id, message.sender);
+    }
+  }
+
+  const byChat = new Map();
+  expired.forEach((message) => {
+    const chatId = String(message.chat);
+    if (!byChat.has(chatId)) byChat.set(chatId, []);
+    byChat.get(chatId).push(String(message._id));
+  });
+
+  for (const [chatId, messageIds] of byChat) {
+    try {
+      await recountUnread(chatId);
+    } catch (error) {
+      console.error('Error recounting unread after purge:', error);
+    }
+    // Expired messages leave the pins too (clients drop them on `messages-expired`)
+    const { modifiedCount } = await Chat.updateOne(
+      { _id: chatId },
+      { $pull: { pinnedMessages: { message: { $in: messageIds } } } }
+    );
+    if (modifiedCount) {
+      await recordSyncEvent({ chat: chatId, type: 'pins-updated', data: {} });
+    }
+    await recordSyncEvent({ chat: chatId, type: 'messages-expired', data: { messageIds } });
+    if (io) {
+      io.to(`chat:${chatId}`).emit('messages-expired', { chatId, messageIds });
+    }
+  }
+
+  return expired.length;
+};
+
+/**
+ * Periodically remove expired messages together with their uploads and
+ * thumbnails, and tell the chat rooms which messages disappeared.
+ */
+function startExpiredMessagePurger(io) {
+  let running = false;
+
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      let total = 0;
+      let removed = await purgeExpiredBatch(io);
+      while (removed > 0) {
+        total += removed;
+        removed = removed === PURGE_BATCH_SIZE ? await purgeExpiredBatch(io) : 0;
+      }
+      if (total > 0) {
+        console.log(`🧹 Purged ${total} expired message(s)`);
+      }
+    } catch (error) {
+      console.error('Error purging expired messages:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, EXPIRED_PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  MESSAGE_TTL_OPTIONS,
+  setChatMessageTtl,
+  startExpiredMessagePurger,
+};
@@ -0,0 +1,129 @@
+const { spawn } = require('child_process');
+
+// Binaries from PATH unless configured
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS || '900000', 10);
+const STDERR_TAIL_LENGTH = 2000;
+
+// Run a binary without a shell; resolves with stdout, rejects with the end of stderr
+const run = (command, args, { timeoutMs = FFMPEG_TIMEOUT_MS } = {}) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  const stdout = [];
+  let stderr = '';
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, timeoutMs);
+
+  child.stdout.on('data', (chunk) => stdout.push(chunk));
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-STDERR_TAIL_LENGTH);
+  });
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    if (code === 0) {
+      return resolve(Buffer.concat(stdout).toString('utf8'));
+    }
+    const reason = timedOut
+      ? `timed out after ${timeoutMs / 1000}s`
+      : `exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`;
+    reject(new Error(`${command} ${reason}`));
+  });
+});
+
+// Whether ffmpeg and ffprobe can be run
+async function isFfmpegAvailable() {
+  try {
+    await run(FFMPEG_PATH, ['-version'], { timeoutMs: 10000 });
+    await run(FFPROBE_PATH, ['-version'], { timeoutMs: 10000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Phones record rotated frames and flag them; portrait videos are stored landscape + 90°
+const isRotatedSideways = (stream) => {
+  const sideData = (stream.side_data_list || []).find((entry) => entry.rotation !== undefined);
+  const rotation = Number(sideData?.rotation ?? stream.tags?.rotate ?? 0);
+  return Math.abs(rotation) % 180 === 90;
+};
+
+/**
+ * Duration and dimensions of a video, plus what is needed to decide on a transcode.
+ * @returns {Promise<{ duration: number|null, width: number|null, height: number|null,
+ *   videoCodec: string|null, audioCodec: string|null, formatName: string }>}
+ */
+async function probeMedia(inputPath) {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    inputPath,
+  ], { timeoutMs: 60000 });
+  const { streams = [], format = {} } = JSON.parse(output);
+
+  // Cover art in audio files shows up as a (still) video stream
+  const video = streams.find((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audio = streams.find((stream) => stream.codec_type === 'audio');
+  const duration = parseFloat(format.duration || video?.duration || audio?.duration);
+  const rotated = video ? isRotatedSideways(video) : false;
+
+  return {
+    duration: Number.isFinite(duration) ? Math.round(duration * 10) / 10 : null,
+    width: (rotated ? video?.height : video?.width) || null,
+    height: (rotated ? video?.width : video?.height) || null,
+    videoCodec: video?.codec_name || null,
+    audioCodec: audio?.codec_name || null,
+    formatName: format.format_name || '',
+  };
+}
+
+// One full-size JPEG frame at `atSeconds`
+const extractFrame = (inputPath, outputPath, atSeconds = 0) => run(FFMPEG_PATH, [
+  '-y',
+  '-v', 'error',
+  '-ss', String(atSeconds),
+  '-i', inputPath,
+  '-frames:v', '1',
+  '-q:v', '2',
+  outputPath,
+], { timeoutMs: 120000 });
+
+/**
+ * MP4 (H.264 main / AAC, faststart) that plays on any phone, at most `maxEdge`
+ * pixels on its long side. Smaller videos are not scaled up.
+ */
+const transcodeVideo = (inputPath, outputPath, { maxEdge = 1280 } = {}) => run(FFMPEG_PATH, [
+  '-y',
+  '-v', 'error',
+  '-i', inputPath,
+  '-map', '0:v:0',
+  '-map', '0:a:0?',
+  '-vf', `scale=w='min(${maxEdge},iw)':h='min(${maxEdge},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2`,
+  '-c:v', 'libx264',
+  '-preset', 'veryfast',
+  '-crf', '23',
+  '-profile:v', 'main',
+  '-pix_fmt', 'yuv420p',
+  '-c:a', 'aac',
+  '-b:a', '128k',
+  '-ac', '2',
+  '-movflags', '+faststart',
+  outputPath,
+]);
+
+module.exports = {
+  isFfmpegAvailable,
+  probeMedia,
+  extractFrame,
+  transcodeVideo,
+};
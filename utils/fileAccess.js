@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const File = require('../models/File');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { getUploadFileName } = require('./fileCleanup');
+
+const UPLOAD_URL_SECRET = process.env.UPLOAD_URL_SECRET || process.env.JWT_SECRET || 'secret_key';
+const UPLOAD_URL_TTL_SECONDS = Math.max(60, parseInt(process.env.UPLOAD_URL_TTL_SECONDS || '3600', 10) || 3600);
+// Cache-Control for uploads that were access checked: browsers may keep them, shared caches may not
+const PRIVATE_CACHE_CONTROL = 'private, max-age=31536000, immutable';
+const PUBLIC_CACHE_MS = 10 * 60 * 1000;
+const PUBLIC_CACHE_MAX_ENTRIES = 5000;
+
+// Avatars / group images recently found public, so they are not looked up on every request
+const publicUploads = new Map();
+
+// Link preview images come from public web pages (utils/linkPreview.js)
+const isLinkPreviewImage = (key) => key.startsWith('link-');
+
+const signKey = (key, expires) => crypto
+  .createHmac('sha256', UPLOAD_URL_SECRET)
+  .update(`${key}:${expires}`)
+  .digest('base64url');
+
+// Expiry is rounded up to a TTL boundary: a file keeps the same URL for a whole
+// window, so clients caching by URL keep hitting their cache. A URL stays valid
+// for between one and two TTLs after it is handed out.
+const getUrlExpiry = (now = Date.now()) =>
+  (Math.floor(now / 1000 / UPLOAD_URL_TTL_SECONDS) + 2) * UPLOAD_URL_TTL_SECONDS;
+
+/**
+ * Short-lived URL for an attachment: /uploads/<key>?expires=...&signature=...
+ * Anything that is not an /uploads URL (or is public anyway) is returned unchanged.
+ */
+const signUploadUrl = (url) => {
+  const key = getUploadFileName(url);
+  if (!key || isLinkPreviewImage(key) || url.includes('?')) return url;
+  const expires = getUrlExpiry();
+  return `${url}?expires=${expires}&signature=${signKey(key, expires)}`;
+};
+
+// Message.file (or an upload response) with signed URLs
+const signFileUrls = (file) => {
+  if (!file || (!file.url && !file.thumbnailUrl)) return file;
+  return {
+    ...file,
+    url: signUploadUrl(file.url),
+    thumbnailUrl: signUploadUrl(file.thumbnailUrl),
+    renditionUrl: signUploadUrl(file.renditionUrl),
+  };
+};
+
+const hasValidSignature = (key, { expires, signature } = {}) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || typeof signature !== 'string' || expiresAt * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(signKey(key, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Upload names a key stands for: itself, plus the original when it is a thumbnail or rendition
+const getUploadUrls = async (key) => {
+  const record = await File.findOne({ $or: [{ thumbnailFileName: key }, { 'rendition.fileName': key }] })
+    .select('fileName')
+    .lean();
+  const names = record ? [key, record.fileName] : [key];
+  return names.map((name) => `/uploads/${name}`);
+};
+
+// Avatars, group images and link preview images can be fetched by anyone
+async function isPublicUpload(key) {
+  if (isLinkPreviewImage(key)) return true;
+  const cachedUntil = publicUploads.get(key);
+  if (cachedUntil && cachedUntil > Date.now()) return true;
+
+  const urls = await getUploadUrls(key);
+  const [user, group] = await Promise.all([
+    User.exists({ avatar: { $in: urls } }),
+    Group.exists({ avatar: { $in: urls } }),
+  ]);
+  if (!user && !group) return false;
+
+  if (publicUploads.size >= PUBLIC_CACHE_MAX_ENTRIES) {
+    publicUploads.clear();
+  }
+  publicUploads.set(key, Date.now() + PUBLIC_CACHE_MS);
+  return true;
+}
+
+// Own uploads (before they are sent) and attachments of chats the user takes part in.
+// Files claimed by hash are not own uploads: a hash is not the content.
+async function isUploadVisibleTo(userId, key) {
+  const ownUpload = await File.exists({
+    uploadedBy: userId,
+    claimedByHash: { $ne: true },
+    $or: [{ fileName: key }, { thumbnailFileName: key }, { 'rendition.fileName': key }],
+  });
+  if (ownUpload) return true;
+
+  const urls = await getUploadUrls(key);
+  const chatIds = await Message.distinct('chat', {
+    $or: [{ 'file.url': { $in: urls } }, { 'file.thumbnailUrl': { $in: urls } }],
+  });
+  if (!chatIds.length) return false;
+  return !!(await Chat.exists({ _id: { $in: chatIds }, participants: userId }));
+}
+
+/**
+ * Whether a user may set /uploads/<key> as their avatar or a group image, which
+ * makes it public: only a file they uploaded themselves that is not a chat attachment.
+ */
+async function canUseAsAvatar(userId, url) {
+  const key = getUploadFileName(url);
+  if (!key || isLinkPreviewImage(key)) return false;
+
+  const urls = [`/uploads/${key}`];
+  const [ownUpload, attachment] = await Promise.all([
+    File.exists({ fileName: key, uploadedBy: userId, claimedByHash: { $ne: true } }),
+    Message.exists({ $or: [{ 'file.url': { $in: urls } }, { 'file.thumbnailUrl': { $in: urls } }] }),
+  ]);
+  return !!ownUpload && !attachment;
+}
+
+/**
+ * Whether a user may fetch /uploads/<key>: public uploads, their own uploads
+ * and attachments of messages in chats they take part in.
+ */
+async function canAccessUpload(userId, key) {
+  if (await isPublicUpload(key)) return true;
+  return !!userId && isUploadVisibleTo(userId, key);
+}
+
+/**
+ * Whether a user may attach Message.file to a message: every upload it points
+ * at has to be one they can fetch themselves. Otherwise a message would share
+ * someone else's upload (or one only claimed by hash) with a whole chat.
+ */
+async function canAttachFile(userId, file) {
+  const keys = new Set([file?.url, file?.thumbnailUrl, file?.renditionUrl].map(getUploadFileName).filter(Boolean));
+  for (const key of keys) {
+    if (!(await canAccessUpload(userId, key))) return false;
+  }
+  return true;
+}
+
+// User id from an `Authorization: Bearer` header, or null
+const getRequestUserId = (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET || 'secret_key').userId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Gate in front of the /uploads handler. An attachment is served for a valid
+ * signed URL (see signUploadUrl) or to a participant of its chat sending their
+ * token; avatars and group images stay public.
+ */
+async function protectUploads(req, res, next) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+  let key;
+  try {
+    key = decodeURIComponent(req.path.slice(1));
+  } catch (error) {
+    return res.status(404).json({ message: 'File not found' });
+  }
+  if (!key || key.includes('/')) {
+    return res.status(404).json({ message: 'File not found' });
+  }
+
+  try {
+    if (hasValidSignature(key, req.query)) {
+      res.set('Cache-Control', PRIVATE_CACHE_CONTROL);
+      return next();
+    }
+    if (await isPublicUpload(key)) return next();
+
+    const userId = getRequestUserId(req);
+    if (userId && await isUploadVisibleTo(userId, key)) {
+      res.set('Cache-Control', PRIVATE_CACHE_CONTROL);
+      return next();
+    }
+    res.status(userId ? 403 : 401).json({ message: 'Access denied' });
+  } catch (error) {
+    console.error('Error checking upload access:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+module.exports = {
+  signUploadUrl,
+  signFileUrls,
+  isPublicUpload,
+  canUseAsAvatar,
+  canAccessUpload,
+  canAttachFile,
+  protectUploads,
+};
@@ -0,0 +1,164 @@
+const File = require('../models/File');
+const Blob = require('../models/Blob');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { uploadsDir, storage } = require('./storage');
+
+// Extract the stored file name from /uploads/<name> or a full URL pointing to it
+const getUploadFileName = (url) => {
+  if (!url || typeof url !== 'string') return null;
+  const match = url.match(/\/uploads\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Whether anything other than `excludeMessageId` still points at /uploads/<fileName>.
+// Stored URLs are normalized to that form, so exact matches can use the indexes.
+const isUploadReferenced = async (fileName, excludeMessageId = null) => {
+  const urls = [`/uploads/${fileName}`];
+  const messageQuery = {
+    $or: [{ 'file.url': { $in: urls } }, { 'file.thumbnailUrl': { $in: urls } }]
+  };
+  if (excludeMessageId) {
+    messageQuery._id = { $ne: excludeMessageId };
+  }
+
+  const [message, user, group] = await Promise.all([
+    Message.exists(messageQuery),
+    User.exists({ avatar: { $in: urls } }),
+    Group.exists({ avatar: { $in: urls } }),
+  ]);
+  return !!(message || user || group);
+};
+
+/**
+ * Drop `count` references to a blob; the last one removes it and its files.
+ * @returns {Promise<boolean>} true if the stored files were removed
+ */
+async function releaseBlob(blobId, count = 1) {
+  if (count <= 0) return false;
+  await Blob.updateOne({ _id: blobId }, { $inc: { refCount: -count } });
+  const removed = await Blob.findOneAndDelete({ _id: blobId, refCount: { $lte: 0 } });
+  if (!removed) return false;
+
+  await storage.removeFile(removed.fileName);
+  if (removed.thumbnailFileName) {
+    await storage.removeFile(removed.thumbnailFileName);
+  }
+  if (removed.rendition?.fileName) {
+    await storage.removeFile(removed.rendition.fileName);
+  }
+  console.log(`🗑️ [FILES] Removed unreferenced blob: ${removed.fileName}`);
+  return true;
+}
+
+/**
+ * Hand the sender's unsent File record of an attachment to the message now
+ * carrying it, so deleting the message releases that record (releaseMessageFile).
+ * Forwards of someone else's upload have no record of their own.
+ */
+async function linkMessageFile(message) {
+  const fileName = getUploadFileName(message.file?.url);
+  if (!fileName) return;
+  try {
+    await File.findOneAndUpdate(
+      { fileName, uploadedBy: message.sender, message: null },
+      { $set: { message: message._id } },
+      { sort: { createdAt: 1 } }
+    );
+  } catch (error) {
+    console.error('Error linking message file:', error);
+  }
+}
+
+// Drop the deleted message's references to deduplicated content. Other uploaders'
+// unsent records are left alone; the last reference only goes once nothing shows the upload.
+async function releaseMessageBlob(blobId, { messageId, senderId, referenced }) {
+  let own = messageId
+    ? await File.findOne({ blob: blobId, message: messageId }).select('_id').lean()
+    : null;
+  if (!own && senderId) {
+    // Sent before attachments were linked to their message: one of the sender's records
+    own = await File.findOne({ blob: blobId, uploadedBy: senderId, message: null })
+      .sort({ createdAt: 1 })
+      .select('_id')
+      .lean();
+  }
+
+  if (referenced) {
+    // Still in another message (e.g. a forward) or an avatar: keep the last reference
+    if (!own) return false;
+    const { modifiedCount } = await Blob.updateOne({ _id: blobId, refCount: { $gt: 1 } }, { $inc: { refCount: -1 } });
+    if (modifiedCount) {
+      await File.deleteOne({ _id: own._id });
+    }
+    return false;
+  }
+
+  // Nothing shows it any more: references kept for it by earlier deleted messages go too
+  const records = await File.find({
+    blob: blobId,
+    $or: [{ message: { $ne: null } }, ...(own ? [{ _id: own._id }] : [])],
+  }).select('_id').lean();
+  if (!records.length) return false;
+  await File.deleteMany({ _id: { $in: records.map((record) => record._id) } });
+  return releaseBlob(blobId, records.length);
+}
+
+/**
+ * Delete the File record and the stored files behind a message attachment,
+ * unless another message (or an avatar) still uses the same upload. Deduplicated
+ * content only loses the message's references here; its files go with the last
+ * one (releaseBlob).
+ * @param {Object} file - Message.file ({ url, thumbnailUrl, ... })
+ * @param {string} excludeMessageId - The message being deleted
+ * @param {string} senderId - Its sender, for messages sent before linkMessageFile
+ * @returns {Promise<boolean>} true if the upload was removed
+ */
+async function releaseMessageFile(file, excludeMessageId = null, senderId = null) {
+  const fileName = getUploadFileName(file?.url);
+  if (!fileName) return false;
+
+  try {
+    const referenced = await isUploadReferenced(fileName, excludeMessageId);
+
+    const blob = await Blob.findOne({ fileName }).select('_id').lean();
+    if (blob) {
+      return releaseMessageBlob(blob._id, { messageId: excludeMessageId, senderId, referenced });
+    }
+    if (referenced) {
+      return false;
+    }
+
+    const fileRecords = await File.find({ fileName });
+    if (fileRecords.length) {
+      await File.deleteMany({ _id: { $in: fileRecords.map((record) => record._id) } });
+    }
+
+    const keys = new Set([fileName, getUploadFileName(file.thumbnailUrl)]);
+    fileRecords.forEach((record) => {
+      keys.add(record.thumbnailFileName);
+      keys.add(record.rendition?.fileName);
+    });
+    for (const key of keys) {
+      if (key) {
+        await storage.removeFile(key);
+      }
+    }
+
+    console.log(`🗑️ [FILES] Removed unreferenced upload: ${fileName}`);
+    return true;
+  } catch (error) {
+    console.error('Error releasing message file:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  uploadsDir,
+  getUploadFileName,
+  isUploadReferenced,
+  releaseBlob,
+  linkMessageFile,
+  releaseMessageFile,
+};
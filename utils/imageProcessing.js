@@ -0,0 +1,55 @@
+const sharp = require('sharp');
+
+const IMAGE_MAX_EDGE = 1920;
+const THUMB_MAX_EDGE = 360;
+
+const getSharpFormat = (mimeType) => {
+  if (mimeType === 'image/png') return 'png';
+  if (mimeType === 'image/webp') return 'webp';
+  return 'jpeg';
+};
+
+const getSharpOptions = (format, isThumb = false) => {
+  if (format === 'png') {
+    return { compressionLevel: 8 };
+  }
+  if (format === 'webp') {
+    return { quality: isThumb ? 65 : 80 };
+  }
+  return { quality: isThumb ? 65 : 80, mozjpeg: true };
+};
+
+// Auto-rotate and shrink an image (path or Buffer) to fit IMAGE_MAX_EDGE
+const writeOptimizedImage = (input, outputPath, format, maxEdge = IMAGE_MAX_EDGE) =>
+  sharp(input)
+    .rotate()
+    .resize({
+      width: maxEdge,
+      height: maxEdge,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .toFormat(format, getSharpOptions(format))
+    .toFile(outputPath);
+
+// Square-ish cover thumbnail shown in chat bubbles
+const writeThumbnail = (input, outputPath, format) =>
+  sharp(input)
+    .rotate()
+    .resize({
+      width: THUMB_MAX_EDGE,
+      height: THUMB_MAX_EDGE,
+      fit: 'cover',
+      withoutEnlargement: true
+    })
+    .toFormat(format, getSharpOptions(format, true))
+    .toFile(outputPath);
+
+module.exports = {
+  IMAGE_MAX_EDGE,
+  THUMB_MAX_EDGE,
+  getSharpFormat,
+  getSharpOptions,
+  writeOptimizedImage,
+  writeThumbnail,
+};
@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const LinkPreview = require('../models/LinkPreview');
+const Message = require('../models/Message');
+const { decryptMessageContent } = require('./messageEncryption');
+const { recordSyncEvent } = require('./syncLog');
+const { getSharpFormat, writeOptimizedImage, writeThumbnail } = require('./imageProcessing');
+const { uploadsDir, storage } = require('./storage');
+
+const LINK_PREVIEW_ENABLED = process.env.LINK_PREVIEW_ENABLED !== 'false';
+// Lets previews be fetched from localhost/LAN addresses; only for development and test stand-ins.
+// 'true' allows any address, or list the ones to allow (e.g. 127.0.0.1,::1)
+const LINK_PREVIEW_ALLOW_PRIVATE = (process.env.LINK_PREVIEW_ALLOW_PRIVATE || '')
+  .split(',')
+  .map((value) => value.trim())
+  .filter((value) => value && value !== 'false');
+const FETCH_TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS || '5000', 10);
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const PREVIEW_IMAGE_MAX_EDGE = 1200;
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; ChatLinkPreview/1.0)';
+
+// Loopback, private, link-local, CGNAT, documentation (TEST-NET), multicast and
+// reserved ranges. IPv4 rules also match IPv4-mapped IPv6 addresses (::ffff:a.b.c.d);
+// NAT64 (64:ff9b::/96) and 6to4 (2002::/16) can wrap any IPv4 address, so they are blocked whole.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  if (LINK_PREVIEW_ALLOW_PRIVATE.includes('true') || LINK_PREVIEW_ALLOW_PRIVATE.includes(address)) return false;
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup for outgoing requests that refuses internal addresses. The socket
+// connects to the address checked here, so a second lookup cannot rebind it.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+      const blockedError = new Error(`Address of ${hostname} is not allowed`);
+      blockedError.code = 'EADDRBLOCKED';
+      return callback(blockedError);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// http(s) URL without credentials, or null. IP literals skip DNS, so they are checked here.
+const parseFetchableUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return null;
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) return null;
+  url.hash = '';
+  return url;
+};
+
+// One GET without following redirects. HTML is cut at maxBytes (the tags we need
+// are in <head>); anything else larger than maxBytes fails.
+const requestOnce = (url, { maxBytes, accept, truncate }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  let settled = false;
+  const settle = (fn, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(deadline);
+    fn(value);
+  };
+
+  const req = client.get(url, {
+    lookup: guardedLookup,
+    timeout: FETCH_TIMEOUT_MS,
+    headers: {
+      'user-agent': USER_AGENT,
+      accept,
+      'accept-encoding': 'identity',
+    },
+  }, (res) => {
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      return settle(resolve, { redirect: new URL(res.headers.location, url).toString() });
+    }
+    if (res.statusCode !== 200) {
+      res.resume();
+      return settle(reject, new Error(`HTTP ${res.statusCode}`));
+    }
+    if (!truncate && parseInt(res.headers['content-length'], 10) > maxBytes) {
+      res.destroy();
+      return settle(reject, new Error('Response too large'));
+    }
+
+    const chunks = [];
+    let size = 0;
+    const finish = () => settle(resolve, {
+      contentType: res.headers['content-type'] || '',
+      body: Buffer.concat(chunks),
+    });
+    res.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) {
+        chunks.push(chunk);
+        return;
+      }
+      if (!truncate) {
+        res.destroy();
+        settle(reject, new Error('Response too large'));
+        return;
+      }
+      chunks.push(chunk.subarray(0, chunk.length - (size - maxBytes)));
+      res.destroy();
+      finish();
+    });
+    res.on('end', finish);
+    res.on('error', (error) => settle(reject, error));
+  });
+
+  // `timeout` above only catches an idle socket; this bounds a slow drip too
+  const deadline = setTimeout(() => req.destroy(new Error('Timed out')), FETCH_TIMEOUT_MS);
+  req.on('timeout', () => req.destroy(new Error('Timed out')));
+  req.on('error', (error) => settle(reject, error));
+});
+
+// GET a public URL, re-checking every redirect hop
+async function fetchResource(value, options) {
+  let url = parseFetchableUrl(value);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    if (!url) {
+      throw new Error('URL is not allowed');
+    }
+    const result = await requestOnce(url, options);
+    if (!result.redirect) {
+      return { ...result, url: url.toString() };
+    }
+    url = parseFetchableUrl(result.redirect);
+  }
+  throw new Error('Too many redirects');
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeHtmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+const cleanText = (text, maxLength) => {
+  if (!text) return null;
+  const cleaned = decodeHtmlEntities(text).replace(/\s+/g, ' ').trim();
+  return cleaned ? cleaned.slice(0, maxLength) : null;
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  for (const match of tag.matchAll(/([a-zA-Z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+};
+
+// Open Graph / Twitter card tags, falling back to <title> and the meta description
+const parseOpenGraph = (html) => {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+  const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], MAX_TITLE_LENGTH),
+    description: cleanText(
+      meta['og:description'] || meta['twitter:description'] || meta.description,
+      MAX_DESCRIPTION_LENGTH
+    ),
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH),
+    image: cleanText(
+      meta['og:image:secure_url'] || meta['og:image'] || meta['twitter:image'] || meta['twitter:image:src'],
+      2048
+    ),
+  };
+};
+
+const decodeHtml = (body, contentType) => {
+  const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(body);
+  } catch (error) {
+    return body.toString('utf8');
+  }
+};
+
+// Copy the og:image into storage with a thumbnail. Files are named after the page
+// URL, so refreshing an expired cache entry overwrites them instead of piling up.
+const storePreviewImage = async (imageUrl, cacheKey) => {
+  const { body, contentType } = await fetchResource(imageUrl, {
+    maxBytes: MAX_IMAGE_BYTES,
+    accept: 'image/*',
+    truncate: false,
+  });
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  if (!['image/jpeg', 'image/png', 'image/webp', 'image/gif'].includes(mimeType)) {
+    throw new Error(`Unsupported preview image type ${mimeType || 'unknown'}`);
+  }
+
+  const format = getSharpFormat(mimeType);
+  const ext = format === 'jpeg' ? '.jpg' : `.${format}`;
+  const fileName = `link-${cacheKey}${ext}`;
+  const thumbnailFileName = `link-${cacheKey}-thumb${ext}`;
+
+  // Written under temporary names and handed to storage; whatever is left on failure is removed
+  const tempSuffix = `.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  const imagePath = path.join(uploadsDir, `${fileName}${tempSuffix}`);
+  const thumbnailPath = path.join(uploadsDir, `${thumbnailFileName}${tempSuffix}`);
+  let info;
+  try {
+    info = await writeOptimizedImage(body, imagePath, format, PREVIEW_IMAGE_MAX_EDGE);
+    await writeThumbnail(body, thumbnailPath, format);
+    await storage.storeFile(fileName, imagePath, { contentType: `image/${format}` });
+    await storage.storeFile(thumbnailFileName, thumbnailPath, { contentType: `image/${format}` });
+  } finally {
+    await fs.promises.rm(imagePath, { force: true });
+    await fs.promises.rm(thumbnailPath, { force: true });
+  }
+
+  return {
+    url: `/uploads/${fileName}`,
+    thumbnailUrl: `/uploads/${thumbnailFileName}`,
+    width: info.width || null,
+    height: info.height || null,
+  };
+};
+
+const fetchLinkPreview = async (url) => {
+  const cacheKey = crypto.createHash('sha1').update(url).digest('hex');
+  let update;
+
+  try {
+    const page = await fetchResource(url, {
+      maxBytes: MAX_HTML_BYTES,
+      accept: 'text/html,application/xhtml+xml',
+      truncate: true,
+    });
+    if (!/^(text\/html|application\/xhtml\+xml)/i.test(page.contentType)) {
+      throw new Error('Not an HTML page');
+    }
+
+    const openGraph = parseOpenGraph(decodeHtml(page.body, page.contentType));
+    let imageSourceUrl = null;
+    let image = null;
+    if (openGraph.image) {
+      try {
+        imageSourceUrl = new URL(openGraph.image, page.url).toString();
+        image = await storePreviewImage(imageSourceUrl, cacheKey);
+      } catch (imageError) {
+        console.warn(`Link preview image skipped for ${url}:`, imageError.message);
+      }
+    }
+    if (!openGraph.title && !openGraph.description && !image) {
+      throw new Error('No preview data');
+    }
+
+    update = {
+      status: 'ready',
+      title: openGraph.title,
+      description: openGraph.description,
+      siteName: openGraph.siteName || new URL(page.url).hostname,
+      imageSourceUrl,
+      image,
+      error: null,
+      expiresAt: new Date(Date.now() + CACHE_TTL_MS),
+    };
+  } catch (error) {
+    console.warn(`Link preview failed for ${url}:`, error.message);
+    update = {
+      status: 'failed',
+      title: null,
+      description: null,
+      siteName: null,
+      imageSourceUrl: null,
+      image: null,
+      error: error.message,
+      expiresAt: new Date(Date.now() + FAILED_CACHE_TTL_MS),
+    };
+  }
+
+  const { image, ...fields } = update;
+  return LinkPreview.findOneAndUpdate(
+    { url },
+    image
+      ? { $set: { ...fields, image, fetchedAt: new Date() } }
+      : { $set: { ...fields, fetchedAt: new Date() }, $unset: { image: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+// Concurrent messages with the same link share one fetch
+const inFlightPreviews = new Map();
+
+/**
+ * Cached preview for a URL, fetching it when missing or expired.
+ * @returns {Promise<Object>} LinkPreview document ({ status: 'ready' | 'failed', ... })
+ */
+async function getLinkPreview(url) {
+  const cached = await LinkPreview.findOne({ url, expiresAt: { $gt: new Date() } }).lean();
+  if (cached) return cached;
+
+  if (!inFlightPreviews.has(url)) {
+    inFlightPreviews.set(url, fetchLinkPreview(url).finally(() => inFlightPreviews.delete(url)));
+  }
+  return inFlightPreviews.get(url);
+}
+
+// First http(s) link in a message text, without trailing punctuation
+const extractFirstUrl = (text) => {
+  if (typeof text !== 'string') return null;
+  const match = text.match(/\bhttps?:\/\/[^\s<>"'`]+/i);
+  if (!match) return null;
+  const url = parseFetchableUrl(match[0].replace(/[.,;:!?)\]}]+$/, ''));
+  return url ? url.toString() : null;
+};
+
+// What is stored on Message.linkPreview (only the fields that are set)
+const formatLinkPreview = (preview) => {
+  const linkPreview = { url: preview.url };
+  ['title', 'description', 'siteName'].forEach((field) => {
+    if (preview[field]) linkPreview[field] = preview[field];
+  });
+  if (preview.image?.url) {
+    const { url, thumbnailUrl, width, height } = preview.image;
+    linkPreview.image = { url, thumbnailUrl, width, height };
+  }
+  return linkPreview;
+};
+
+/**
+ * Attach (or refresh after an edit) the preview of the first link in a text
+ * message, then tell the chat with `message-link-preview`. Nothing happens when
+ * the link did not change, and a message edited or unsent in the meantime is left alone.
+ */
+async function attachLinkPreview({ io, chat, message }) {
+  if (!LINK_PREVIEW_ENABLED || message.type !== 'text' || message.deletedAt) return null;
+
+  const text = message.encryption?.iv
+    ? decryptMessageContent(message.content, message.encryption, chat.encryptionKey)
+    : message.content;
+  const url = extractFirstUrl(text);
+  const currentUrl = message.linkPreview?.url || null;
+  if (url === currentUrl) return null;
+
+  let linkPreview = null;
+  if (url) {
+    const preview = await getLinkPreview(url);
+    if (preview.status === 'ready') {
+      linkPreview = formatLinkPreview(preview);
+    }
+  }
+  if (!linkPreview && !currentUrl) return null;
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, deletedAt: null, editedAt: message.editedAt || null },
+    linkPreview ? { $set: { linkPreview } } : { $unset: { linkPreview: 1 } },
+    { new: true }
+  ).select('_id').lean();
+  if (!updated) return null;
+
+  const payload = {
+    chatId: String(chat._id),
+    messageId: String(message._id),
+    linkPreview,
+  };
+  await recordSyncEvent({ chat: chat._id, type: 'message-link-preview', data: { messageId: payload.messageId } });
+  if (io) {
+    io.to(`chat:${chat._id}`).emit('message-link-preview', payload);
+  }
+  return payload;
+}
+
+// Fetch in the background: sending or editing never waits on a third-party site
+const queueLinkPreview = ({ io, chat, message }) => {
+  attachLinkPreview({ io, chat, message }).catch((error) => {
+    console.error('Error attaching link preview:', error);
+  });
+};
+
+module.exports = {
+  isBlockedAddress,
+  extractFirstUrl,
+  parseOpenGraph,
+  getLinkPreview,
+  attachLinkPreview,
+  queueLinkPreview,
+};
@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Blob = require('../models/Blob');
+const File = require('../models/File');
+const Message = require('../models/Message');
+const MediaJob = require('../models/MediaJob');
+const { createActionError } = require('./messageActions');
+const { uploadsDir, storage } = require('./storage');
+const { getUploadFileName } = require('./fileCleanup');
+const { signUploadUrl, signFileUrls } = require('./fileAccess');
+const { recordSyncEvent } = require('./syncLog');
+const { writeOptimizedImage } = require('./imageProcessing');
+const { isFfmpegAvailable, probeMedia, extractFrame, transcodeVideo } = require('./ffmpeg');
+
+const MEDIA_PROCESSING_ENABLED = process.env.MEDIA_PROCESSING_ENABLED !== 'false';
+const MEDIA_TRANSCODE_ENABLED = process.env.MEDIA_TRANSCODE_ENABLED === 'true';
+const MEDIA_POLL_INTERVAL_MS = parseInt(process.env.MEDIA_POLL_INTERVAL_MS || '10000', 10);
+// A job still 'running' after this long belongs to a runner that crashed
+const MEDIA_JOB_LOCK_TIMEOUT_MS = 60 * 60 * 1000;
+const MAX_MEDIA_JOB_ATTEMPTS = 3;
+const MEDIA_RETRY_DELAY_MS = 60 * 1000;
+const POSTER_MAX_EDGE = 720;
+const RENDITION_MAX_EDGE = 1280;
+// Where inputs are downloaded and outputs written before going to storage (not served)
+const workDir = path.join(uploadsDir, '.media');
+
+// Videos that are already H.264/AAC in an MP4/MOV container play everywhere and get no rendition
+const PLAYABLE_FORMAT = 'mov,mp4,m4a,3gp,3g2,mj2';
+const PLAYABLE_AUDIO_CODECS = [null, 'aac'];
+
+const isVideo = (mimeType) => !!mimeType && mimeType.startsWith('video/');
+
+// processingStatus a newly stored upload starts with
+const getInitialProcessingStatus = (mimeType) =>
+  (MEDIA_PROCESSING_ENABLED && isVideo(mimeType) ? 'pending' : 'none');
+
+const needsRendition = (probe) => {
+  if (!MEDIA_TRANSCODE_ENABLED) return false;
+  return probe.videoCodec !== 'h264'
+    || !PLAYABLE_AUDIO_CODECS.includes(probe.audioCodec)
+    || probe.formatName !== PLAYABLE_FORMAT
+    || Math.max(probe.width || 0, probe.height || 0) > RENDITION_MAX_EDGE;
+};
+
+const setProcessingStatus = async (blobId, processingStatus) => {
+  await Blob.updateOne({ _id: blobId }, { $set: { processingStatus } });
+  await File.updateMany({ blob: blobId }, { $set: { processingStatus } });
+};
+
+/**
+ * Queue processing for a stored video (the blob starts out 'pending', see
+ * getInitialProcessingStatus). Never throws: a video that cannot be queued is
+ * marked 'failed' and the upload still succeeds.
+ */
+async function queueMediaJob(blob) {
+  if (blob.processingStatus !== 'pending') return null;
+  try {
+    return await MediaJob.create({ blob: blob._id, fileName: blob.fileName });
+  } catch (error) {
+    console.error('Error queueing media job:', error);
+    await setProcessingStatus(blob._id, 'failed').catch(() => {});
+    return null;
+  }
+}
+
+// Atomically take the next due job, or one whose runner died mid-way
+const claimNextMediaJob = () => {
+  const now = new Date();
+  return MediaJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAfter: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - MEDIA_JOB_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'running', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAfter: 1 }, new: true }
+  );
+};
+
+const removeQuietly = async (filePath) => {
+  if (!filePath) return;
+  await fs.promises.rm(filePath, { force: true }).catch((error) => {
+    console.error('Error deleting file:', filePath, error.message);
+  });
+};
+
+/**
+ * Probe the video, store a poster frame as its thumbnail and, when enabled and
+ * needed, an H.264/AAC rendition. Returns the fields to set on the Blob and its Files.
+ */
+async function processVideo(job, blob) {
+  const ext = path.extname(blob.fileName);
+  const baseName = path.basename(blob.fileName, ext);
+  const tempPaths = [];
+  const storedKeys = [];
+
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    let inputPath;
+    if (storage.name === 'local') {
+      inputPath = storage.locate(blob.fileName);
+    } else {
+      inputPath = path.join(workDir, `${job._id}-source${ext}`);
+      tempPaths.push(inputPath);
+      await storage.downloadFile(blob.fileName, inputPath);
+    }
+
+    const probe = await probeMedia(inputPath);
+    if (!probe.width || !probe.height) {
+      throw createActionError(422, 'No video stream');
+    }
+    const result = {
+      processingStatus: 'ready',
+      duration: probe.duration,
+      width: probe.width,
+      height: probe.height,
+    };
+
+    // Poster frame, unless the upload already came with a thumbnail
+    if (!blob.thumbnailFileName) {
+      const framePath = path.join(workDir, `${job._id}-frame.jpg`);
+      const thumbnailFileName = `${baseName}-thumb.jpg`;
+      const posterPath = path.join(workDir, thumbnailFileName);
+      tempPaths.push(framePath, posterPath);
+
+      // A second in skips the black first frame of most recordings
+      await extractFrame(inputPath, framePath, probe.duration > 2 ? 1 : 0);
+      await writeOptimizedImage(framePath, posterPath, 'jpeg', POSTER_MAX_EDGE);
+      result.thumbnailPath = await storage.storeFile(thumbnailFileName, posterPath, { contentType: 'image/jpeg' });
+      result.thumbnailFileName = thumbnailFileName;
+      storedKeys.push(thumbnailFileName);
+    }
+
+    if (needsRendition(probe)) {
+      const renditionFileName = `${baseName}-mobile.mp4`;
+      const renditionPath = path.join(workDir, renditionFileName);
+      tempPaths.push(renditionPath);
+
+      await transcodeVideo(inputPath, renditionPath, { maxEdge: RENDITION_MAX_EDGE });
+      const { size } = await fs.promises.stat(renditionPath);
+      result.rendition = {
+        fileName: renditionFileName,
+        filePath: await storage.storeFile(renditionFileName, renditionPath, { contentType: 'video/mp4' }),
+        mimeType: 'video/mp4',
+        fileSize: size,
+      };
+      storedKeys.push(renditionFileName);
+    }
+
+    return { result, storedKeys };
+  } catch (error) {
+    for (const key of storedKeys) {
+      await storage.removeFile(key);
+    }
+    throw error;
+  } finally {
+    for (const tempPath of tempPaths) {
+      await removeQuietly(tempPath);
+    }
+  }
+}
+
+// What a client needs to show a processed upload (URLs signed like message attachments)
+const formatProcessedMedia = (record) => ({
+  processingStatus: record.processingStatus,
+  duration: record.duration || undefined,
+  width: record.width || undefined,
+  height: record.height || undefined,
+  thumbnailUrl: record.thumbnailFileName ? signUploadUrl(`/uploads/${record.thumbnailFileName}`) : undefined,
+  renditionUrl: record.rendition?.fileName ? signUploadUrl(`/uploads/${record.rendition.fileName}`) : undefined,
+});
+
+/**
+ * Fill in what processing found on messages already sent with this video
+ * (fields the sender set are kept) and tell each chat with `message-media-processed`.
+ */
+async function updateVideoMessages(io, blob) {
+  const messages = await Message.find({ 'file.url': `/uploads/${blob.fileName}`, deletedAt: null })
+    .select('chat file')
+    .lean();
+
+  for (const message of messages) {
+    const update = {};
+    if (!message.file.thumbnailUrl && blob.thumbnailFileName) {
+      update['file.thumbnailUrl'] = `/uploads/${blob.thumbnailFileName}`;
+    }
+    if (!message.file.duration && blob.duration) update['file.duration'] = blob.duration;
+    if (!message.file.width && blob.width) update['file.width'] = blob.width;
+    if (!message.file.height && blob.height) update['file.height'] = blob.height;
+    if (blob.rendition?.fileName) update['file.renditionUrl'] = `/uploads/${blob.rendition.fileName}`;
+    if (!Object.keys(update).length) continue;
+
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, deletedAt: null },
+      { $set: update },
+      { new: true }
+    ).select('file').lean();
+    if (!updated) continue;
+
+    const payload = {
+      chatId: String(message.chat),
+      messageId: String(message._id),
+      file: signFileUrls(updated.file),
+    };
+    await recordSyncEvent({ chat: message.chat, type: 'message-media-processed', data: { messageId: payload.messageId } });
+    if (io) {
+      io.to(`chat:${message.chat}`).emit('message-media-processed', payload);
+    }
+  }
+}
+
+// Tell everyone who uploaded this content that processing finished (`media-processed`).
+// Files claimed by hash get no signed URLs, as with check-hash itself.
+async function notifyUploaders(io, blob) {
+  if (!io) return;
+  const files = await File.find({ blob: blob._id }).select('uploadedBy claimedByHash').lean();
+  const media = formatProcessedMedia(blob);
+  files.forEach((file) => {
+    io.to(`user:${file.uploadedBy}`).emit('media-processed', {
+      fileId: String(file._id),
+      fileName: blob.fileName,
+      ...media,
+      ...(file.claimedByHash ? { thumbnailUrl: undefined, renditionUrl: undefined } : {}),
+    });
+  });
+}
+
+async function runMediaJob(io, job) {
+  const blob = await Blob.findOne({ _id: job.blob, refCount: { $gt: 0 } });
+  if (!blob) {
+    // Every file using it was deleted before it got processed
+    await MediaJob.deleteOne({ _id: job._id });
+    return;
+  }
+
+  try {
+    await setProcessingStatus(blob._id, 'processing');
+    const { result, storedKeys } = await processVideo(job, blob);
+
+    const processed = await Blob.findOneAndUpdate(
+      { _id: blob._id, refCount: { $gt: 0 } },
+      { $set: result },
+      { new: true }
+    );
+    if (!processed) {
+      // Deleted while processing: drop the outputs, nothing refers to them
+      for (const key of storedKeys) {
+        await storage.removeFile(key);
+      }
+      await MediaJob.deleteOne({ _id: job._id });
+      return;
+    }
+    await File.updateMany({ blob: blob._id }, { $set: result });
+
+    await MediaJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date(), lockedAt: null, lastError: null, updatedAt: new Date() } }
+    );
+    console.log(`🎬 Processed video ${blob.fileName} (${result.duration}s, ${result.width}x${result.height}${result.rendition ? ', rendition' : ''})`);
+
+    await updateVideoMessages(io, processed);
+    await notifyUploaders(io, processed);
+  } catch (error) {
+    // Errors with a status will not fix themselves (not a video, unreadable file)
+    const failed = !!error.status || job.attempts >= MAX_MEDIA_JOB_ATTEMPTS;
+    await MediaJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'queued',
+          runAfter: new Date(Date.now() + job.attempts * MEDIA_RETRY_DELAY_MS),
+          lockedAt: null,
+          lastError: error.message,
+          updatedAt: new Date(),
+        },
+      }
+    );
+    await setProcessingStatus(blob._id, failed ? 'failed' : 'pending');
+    console.error(`❌ Media job for ${blob.fileName} ${failed ? 'failed' : 'will be retried'}:`, error.message);
+
+    if (failed) {
+      await notifyUploaders(io, { ...blob.toObject(), processingStatus: 'failed' });
+    }
+  }
+}
+
+/**
+ * Video fields of a message being sent, completed from its processed upload:
+ * a video sent after processing finished gets its poster, duration and rendition.
+ */
+async function withProcessedMedia(file) {
+  const fileName = getUploadFileName(file?.url);
+  if (!fileName || !isVideo(file.mimeType)) return file;
+
+  const record = await File.findOne({ fileName, processingStatus: 'ready' })
+    .select('thumbnailFileName duration width height rendition')
+    .lean();
+  if (!record) return file;
+  return {
+    ...file,
+    thumbnailUrl: file.thumbnailUrl || (record.thumbnailFileName ? `/uploads/${record.thumbnailFileName}` : undefined),
+    duration: file.duration || record.duration || undefined,
+    width: file.width || record.width || undefined,
+    height: file.height || record.height || undefined,
+    renditionUrl: record.rendition?.fileName ? `/uploads/${record.rendition.fileName}` : file.renditionUrl,
+  };
+}
+
+/**
+ * Work through queued media jobs one at a time (ffmpeg is CPU heavy). Jobs live
+ * in MongoDB, so they survive restarts; without ffmpeg on PATH the runner does
+ * not start and videos stay 'pending' until a server that has it picks them up.
+ */
+async function startMediaJobRunner(io) {
+  if (!MEDIA_PROCESSING_ENABLED) return null;
+  if (!(await isFfmpegAvailable())) {
+    console.warn('⚠️ ffmpeg/ffprobe not found: video processing is disabled');
+    return null;
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      let job = await claimNextMediaJob();
+      while (job) {
+        await runMediaJob(io, job);
+        job = await claimNextMediaJob();
+      }
+    } catch (error) {
+      console.error('Error running media jobs:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, MEDIA_POLL_INTERVAL_MS);
+  timer.unref();
+  console.log(`🎬 Media job runner started (every ${MEDIA_POLL_INTERVAL_MS / 1000}s${MEDIA_TRANSCODE_ENABLED ? ', transcoding on' : ''})`);
+  return timer;
+}
+
+module.exports = {
+  getInitialProcessingStatus,
+  queueMediaJob,
+  withProcessedMedia,
+  startMediaJobRunner,
+};
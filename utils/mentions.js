@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const ChatState = require('../models/ChatState');
+const Message = require('../models/Message');
+const { createActionError, getChatForParticipant, isChatAdmin } = require('./messageActions');
+const { getMessagePreviewText } = require('./messageFormatting');
+const { encodeMessageCursor, buildCursorCondition } = require('./messageCursor');
+
+const MAX_MENTIONS = 50;
+
+/**
+ * Validate the structured mentions sent with a message. Only group chats have
+ * mentions; ids that are not participants (or the sender) are dropped, and
+ * `@all` is reserved for the group creator and app admins.
+ * @returns {Promise<{ mentions: string[], mentionsAll: boolean }>}
+ */
+async function resolveMentions({ chat, senderId, mentions, mentionsAll }) {
+  if (!chat.isGroup) return { mentions: [], mentionsAll: false };
+
+  const requested = Array.isArray(mentions) ? mentions.map(String) : [];
+  if (requested.length > MAX_MENTIONS) {
+    throw createActionError(400, `At most ${MAX_MENTIONS} mentions allowed`);
+  }
+  if (requested.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createActionError(400, 'Invalid mention');
+  }
+  if (mentionsAll && !(await isChatAdmin(chat, senderId))) {
+    throw createActionError(403, 'Only group admins can mention @all');
+  }
+
+  const participants = new Set(chat.participants.map((p) => p.toString()));
+  return {
+    mentions: Array.from(new Set(requested))
+      .filter((id) => participants.has(id) && id !== senderId.toString()),
+    mentionsAll: !!mentionsAll,
+  };
+}
+
+// Whether a message mentions the user, directly or through @all
+const isMentioned = (message, userId) =>
+  (!!message.mentionsAll && String(message.sender?._id || message.sender) !== String(userId)) ||
+  (message.mentions || []).some((id) => String(id) === String(userId));
+
+/**
+ * Messages mentioning the user (directly or via @all) that are after their
+ * read cursor, newest first, optionally in one chat.
+ * @returns {Promise<{ mentions: Array, counts: Object, total: number }>}
+ */
+async function listUnreadMentions({ userId, chatId, limit = 50 }) {
+  const chats = chatId
+    ? [await getChatForParticipant(chatId, userId)]
+    : await Chat.find({ participants: userId, isGroup: true }).select('encryptionKey isGroup');
+  const groupChats = chats.filter((chat) => chat.isGroup);
+  if (!groupChats.length) return { mentions: [], counts: {}, total: 0 };
+
+  const states = await ChatState.find({ user: userId, chat: { $in: groupChats.map((chat) => chat._id) } })
+    .select('chat lastReadMessage lastReadMessageAt')
+    .lean();
+  const statesByChat = new Map(states.map((state) => [String(state.chat), state]));
+
+  // Used in an aggregate too, where ids are not cast
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const query = {
+    $or: groupChats.map((chat) => {
+      const state = statesByChat.get(String(chat._id));
+      const clause = { chat: chat._id };
+      if (state?.lastReadMessage) {
+        Object.assign(clause, buildCursorCondition(
+          { createdAt: state.lastReadMessageAt, _id: state.lastReadMessage },
+          'after'
+        ));
+      }
+      return clause;
+    }),
+    $and: [{ $or: [{ mentions: userObjectId }, { mentionsAll: true }] }],
+    sender: { $ne: userObjectId },
+    deletedAt: null,
+    deletedFor: { $ne: userObjectId },
+  };
+
+  const [messages, counts] = await Promise.all([
+    Message.find(query)
+      .populate('sender', 'phoneNumber fullName avatar')
+      .select('chat sender type content encryption file mentions mentionsAll createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 50, 100))
+      .lean(),
+    Message.aggregate([
+      { $match: query },
+      { $group: { _id: '$chat', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const keysByChat = new Map(groupChats.map((chat) => [String(chat._id), chat.encryptionKey]));
+  const countsByChat = Object.fromEntries(counts.map((entry) => [String(entry._id), entry.count]));
+
+  return {
+    mentions: messages.map((message) => ({
+      chatId: String(message.chat),
+      messageId: String(message._id),
+      sender: message.sender,
+      type: message.type,
+      preview: getMessagePreviewText(message, keysByChat.get(String(message.chat))),
+      mentionsAll: !!message.mentionsAll,
+      createdAt: message.createdAt,
+      cursor: encodeMessageCursor(message),
+    })),
+    counts: countsByChat,
+    total: Object.values(countsByChat).reduce((sum, count) => sum + count, 0),
+  };
+}
+
+module.exports = {
+  resolveMentions,
+  isMentioned,
+  listUnreadMentions,
+};
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { releaseMessageFile } = require('./fileCleanup');
+const { summarizeReactions } = require('./messageFormatting');
+const { buildSearchTokens } = require('./searchIndex');
+const { sendReactionNotification } = require('./pushNotifications');
+const { recordSyncEvent } = require('./syncLog');
+const { queueLinkPreview } = require('./linkPreview');
+
+// How long after sending a message its sender may still edit it (0 = no limit)
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10);
+// Push the author of a 1:1 message when the other person reacts to it
+const REACTION_PUSH_ENABLED = process.env.REACTION_PUSH_ENABLED !== 'false';
+const MAX_REACTION_LENGTH = 32;
+
+// Errors thrown here carry an HTTP status so REST routes and socket handlers
+// can report them the same way.
+const createActionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getChatForParticipant = async (chatId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw createActionError(404, 'Chat not found');
+  }
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    throw createActionError(404, 'Chat not found');
+  }
+  const isParticipant = chat.participants.some(p => p.toString() === userId.toString());
+  if (!isParticipant) {
+    throw createActionError(403, 'Access denied');
+  }
+  return chat;
+};
+
+// Group creator or app admin; in 1:1 chats both participants manage the chat
+const isChatAdmin = async (chat, userId) => {
+  if (!chat.isGroup) return true;
+  const group = chat.groupId ? await Group.findById(chat.groupId).select('createdBy').lean() : null;
+  if (group && group.createdBy.toString() === userId.toString()) return true;
+  const user = await User.findById(userId).select('role').lean();
+  return user?.role === 'admin';
+};
+
+const getChatMessage = async (chatId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createActionError(404, 'Message not found');
+  }
+  const message = await Message.findOne({ _id: messageId, chat: chatId });
+  if (!message) {
+    throw createActionError(404, 'Message not found');
+  }
+  return message;
+};
+
+const isSameEncryption = (a, b) =>
+  (a?.alg || null) === (b?.alg || null) &&
+  (a?.iv || null) === (b?.iv || null) &&
+  (a?.tag || null) === (b?.tag || null);
+
+// Replace a message's content, keeping the previous version in `revisions`
+const editMessage = async ({ io, chatId, messageId, userId, content, encryption }) => {
+  const chat = await getChatForParticipant(chatId, userId);
+  const message = await getChatMessage(chat._id, messageId);
+
+  if (message.sender.toString() !== userId.toString()) {
+    throw createActionError(403, 'Only the sender can edit this message');
+  }
+  if (message.type === 'call' || message.type === 'system' || message.deletedAt) {
+    throw createActionError(400, 'This message cannot be edited');
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw createActionError(400, 'Content is required');
+  }
+
+  const editWindowMs = MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+  if (editWindowMs > 0 && Date.now() - new Date(message.createdAt).getTime() > editWindowMs) {
+    throw createActionError(403, 'Edit window has expired');
+  }
+
+  const current = message.toObject();
+  if (current.content === content && isSameEncryption(current.encryption, encryption)) {
+    return {
+      chatId: String(chat._id),
+      messageId: String(message._id),
+      content: current.content,
+      encryption: current.encryption,
+      editedAt: current.editedAt,
+      revisionCount: (current.revisions || []).length,
+    };
+  }
+
+  message.revisions.push({
+    content: current.content,
+    encryption: current.encryption,
+    createdAt: current.editedAt || current.createdAt,
+  });
+  message.content = content;
+  message.encryption = encryption || undefined;
+  message.editedAt = new Date();
+  message.searchTokens = buildSearchTokens(message, chat.encryptionKey);
+  await message.save();
+
+  const payload = {
+    chatId: String(chat._id),
+    messageId: String(message._id),
+    content: message.content,
+    encryption: message.toObject().encryption,
+    editedAt: message.editedAt,
+    revisionCount: message.revisions.length,
+  };
+  await recordSyncEvent({ chat: chat._id, type: 'message-edited', data: { messageId: payload.messageId } });
+
+  if (io) {
+    io.to(`chat:${chat._id}`).emit('message-edited', payload);
+  }
+  // A changed link gets a new preview
+  queueLinkPreview({ io, chat, message });
+
+  return payload;
+};
+
+// Full edit history of a message, oldest first, ending with the current version
+const getMessageRevisions = async ({ chatId, messageId, userId }) => {
+  const chat = await getChatForParticipant(chatId, userId);
+  const message = (await getChatMessage(chat._id, messageId)).toObject();
+
+  return {
+    messageId: String(message._id),
+    revisions: [
+      ...(message.revisions || []).map((revision) => ({
+        content: revision.content,
+        encryption: revision.encryption,
+        createdAt: revision.createdAt,
+      })),
+      {
+        content: message.content,
+        encryption: message.encryption,
+        createdAt: message.editedAt || message.createdAt,
+        current: true,
+      },
+    ],
+  };
+};
+
+/**
+ * Delete a message.
+ * - scope 'me': hide it for the current user only
+ * - scope 'everyone': sender unsends it, leaving a tombstone in the chat
+ */
+const deleteMessage = async ({ io, chatId, messageId, userId, scope = 'me' }) => {
+  if (scope !== 'me' && scope !== 'everyone') {
+    throw createActionError(400, 'Invalid delete scope');
+  }
+
+  const chat = await getChatForParticipant(chatId, userId);
+  const message = await getChatMessage(chat._id, messageId);
+
+  if (scope === 'me') {
+    await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+
+    const payload = {
+      chatId: String(chat._id),
+      messageId: String(message._id),
+      scope,
+    };
+    await recordSyncEvent({
+      user: userId,
+      type: 'message-hidden',
+      data: { chatId: payload.chatId, messageId: payload.messageId },
+    });
+    // Only the user's other devices need to know
+    if (io) {
+      io.to(`user:${userId}`).emit('message-deleted', payload);
+    }
+    return payload;
+  }
+
+  if (message.sender.toString() !== userId.toString()) {
+    throw createActionError(403, 'Only the sender can unsend this message');
+  }
+  if (message.type === 'call' || message.type === 'system') {
+    throw createActionError(400, 'This message cannot be unsent');
+  }
+
+  if (!message.deletedAt) {
+    const file = message.toObject().file;
+
+    message.content = '';
+    message.encryption = undefined;
+    message.file = undefined;
+    message.linkPreview = undefined;
+    message.revisions = [];
+    message.reactions = [];
+    message.searchTokens = [];
+    message.deletedAt = new Date();
+    message.deletedBy = userId;
+    await message.save();
+
+    // An unsent message leaves the pins too (clients drop it on `message-deleted`)
+    const { modifiedCount } = await Chat.updateOne(
+      { _id: chat._id },
+      { $pull: { pinnedMessages: { message: message._id } } }
+    );
+    if (modifiedCount) {
+      await recordSyncEvent({ chat: chat._id, type: 'pins-updated', data: {} });
+    }
+
+    if (file?.url) {
+      await releaseMessageFile(file, message._id, message.sender);
+    }
+  }
+
+  const payload = {
+    chatId: String(chat._id),
+    messageId: String(message._id),
+    scope,
+    deletedAt: message.deletedAt,
+    deletedBy: String(message.deletedBy),
+  };
+  await recordSyncEvent({ chat: chat._id, type: 'message-deleted', data: { messageId: payload.messageId } });
+
+  if (io) {
+    io.to(`chat:${chat._id}`).emit('message-deleted', payload);
+  }
+
+  return payload;
+};
+
+const notifyReaction = async ({ chat, message, userId, emoji }) => {
+  try {
+    const author = await User.findById(message.sender)
+      .select('pushTokens fcmTokens apnsTokens')
+      .lean();
+    const reactor = await User.findById(userId).select('fullName phoneNumber').lean();
+    const reactorName = reactor?.fullName || reactor?.phoneNumber || 'Người dùng';
+    await sendReactionNotification(author, reactorName, chat._id, message._id, emoji);
+  } catch (error) {
+    console.error('Error sending reaction notification:', error);
+  }
+};
+
+/**
+ * Add or remove the current user's reaction on a message.
+ * Pass an emoji to react (replacing any previous one) or null to remove it.
+ */
+const setMessageReaction = async ({ io, chatId, messageId, userId, emoji }) => {
+  const isRemoval = emoji === null || emoji === undefined || emoji === '';
+  if (!isRemoval && (typeof emoji !== 'string' || emoji.trim().length > MAX_REACTION_LENGTH)) {
+    throw createActionError(400, 'Invalid reaction');
+  }
+
+  const chat = await getChatForParticipant(chatId, userId);
+  const message = await getChatMessage(chat._id, messageId);
+  if (message.deletedAt) {
+    throw createActionError(400, 'Cannot react to a deleted message');
+  }
+
+  const previous = message.reactions.find(r => r.user.toString() === userId.toString());
+  const reaction = isRemoval ? null : emoji.trim();
+  if ((previous?.emoji || null) === reaction) {
+    return {
+      chatId: String(chat._id),
+      messageId: String(message._id),
+      reactions: summarizeReactions(message.reactions, userId),
+    };
+  }
+
+  // One pipeline update drops the user's old reaction and adds the new one, so
+  // concurrent reactions from other users are neither lost nor a VersionError
+  const reactorId = new mongoose.Types.ObjectId(String(userId));
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, deletedAt: null },
+    [{
+      $set: {
+        reactions: {
+          $concatArrays: [
+            { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $ne: ['$$this.user', reactorId] } } },
+            reaction
+              ? [{ _id: new mongoose.Types.ObjectId(), user: reactorId, emoji: reaction, createdAt: new Date() }]
+              : [],
+          ],
+        },
+      },
+    }],
+    { new: true, projection: { reactions: 1 } }
+  ).lean();
+  if (!updated) {
+    throw createActionError(400, 'Cannot react to a deleted message');
+  }
+
+  const reactions = updated.reactions;
+  await recordSyncEvent({ chat: chat._id, type: 'message-reaction', data: { messageId: String(message._id) } });
+  if (io) {
+    io.to(`chat:${chat._id}`).emit('message-reaction', {
+      chatId: String(chat._id),
+      messageId: String(message._id),
+      userId: String(userId),
+      emoji: reaction,
+      action: reaction ? 'add' : 'remove',
+      reactions: summarizeReactions(reactions),
+    });
+  }
+
+  const isOwnMessage = message.sender.toString() === userId.toString();
+  if (reaction && REACTION_PUSH_ENABLED && !chat.isGroup && !isOwnMessage) {
+    notifyReaction({ chat, message, userId, emoji: reaction });
+  }
+
+  return {
+    chatId: String(chat._id),
+    messageId: String(message._id),
+    reactions: summarizeReactions(reactions, userId),
+  };
+};
+
+module.exports = {
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  createActionError,
+  getChatForParticipant,
+  isChatAdmin,
+  getChatMessage,
+  editMessage,
+  getMessageRevisions,
+  deleteMessage,
+  setMessageReaction,
+};
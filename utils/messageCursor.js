@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Opaque cursor for a message position: (createdAt, _id).
+// Ordering on both fields keeps paging stable when several messages share a timestamp.
+
+const encodeMessageCursor = (message) => {
+  if (!message?._id || !message.createdAt) return null;
+  return Buffer.from(`${new Date(message.createdAt).getTime()}:${message._id}`).toString('base64url');
+};
+
+const decodeMessageCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const [time, id] = Buffer.from(cursor, 'base64url').toString('utf8').split(':');
+    const createdAt = new Date(Number(time));
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query condition for messages strictly before/after a cursor position
+const buildCursorCondition = (position, direction) => {
+  const op = direction === 'after' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position._id } },
+    ],
+  };
+};
+
+module.exports = {
+  encodeMessageCursor,
+  decodeMessageCursor,
+  buildCursorCondition,
+};
@@ -1,5 +1,7 @@
 const crypto = require('crypto');
 
+const MESSAGE_CIPHER = 'aes-256-cbc';
+
 function decryptMessageContent(cipherText, encryption, base64Key) {
   if (!cipherText || !encryption?.iv || !base64Key) {
     return null;
@@ -21,6 +23,27 @@ function decryptMessageContent(cipherText, encryption, base64Key) {
   }
 }
 
+// Encrypt plain text with a chat key, in the same format clients use
+function encryptMessageContent(plainText, base64Key, { alg = MESSAGE_CIPHER, version = 1 } = {}) {
+  // The content is always AES-256-CBC, so no other alg may be recorded for it
+  if (alg !== MESSAGE_CIPHER) {
+    throw new Error(`Unsupported encryption algorithm: ${alg}`);
+  }
+  const key = Buffer.from(base64Key || '', 'base64');
+  if (key.length !== 32) {
+    throw new Error('Invalid chat encryption key');
+  }
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(MESSAGE_CIPHER, key, iv);
+  let encrypted = cipher.update(plainText || '', 'utf8', 'base64');
+  encrypted += cipher.final('base64');
+  return {
+    content: encrypted,
+    encryption: { alg, iv: iv.toString('base64'), version },
+  };
+}
+
 module.exports = {
   decryptMessageContent,
+  encryptMessageContent,
 };
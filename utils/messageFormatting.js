@@ -0,0 +1,105 @@
+const { decryptMessageContent } = require('./messageEncryption');
+const { signFileUrls, signUploadUrl } = require('./fileAccess');
+
+const MESSAGE_TYPE_LABELS = {
+  image: '📷 Hình ảnh',
+  video: '🎥 Video',
+  audio: '🎤 Tin nhắn thoại',
+  file: '📎 Tệp đính kèm',
+  call: '📞 Cuộc gọi',
+};
+
+// Populate options for the quoted message of a reply
+const REPLY_TO_POPULATE = {
+  path: 'replyTo',
+  select: 'sender type content encryption file deletedAt createdAt',
+  populate: { path: 'sender', select: 'phoneNumber fullName avatar' },
+  options: { strictPopulate: false },
+};
+
+// Short plain-text preview of a message (reply quotes, pins, chat list)
+const getMessagePreviewText = (message, encryptionKey, maxLength = 120) => {
+  if (!message) return null;
+  if (message.deletedAt) return 'Tin nhắn đã được thu hồi';
+  if (message.type && message.type !== 'text' && MESSAGE_TYPE_LABELS[message.type]) {
+    return MESSAGE_TYPE_LABELS[message.type];
+  }
+
+  const content = message.content || '';
+  if (message.encryption?.iv) {
+    const decrypted = decryptMessageContent(content, message.encryption, encryptionKey);
+    return decrypted ? decrypted.slice(0, maxLength) : '🔐 Tin nhắn mã hóa';
+  }
+  return content.slice(0, maxLength);
+};
+
+// Compact snapshot of a quoted message, embedded in the reply's payload
+const buildReplySnapshot = (replyTo, encryptionKey) => {
+  // Not populated (or the quoted message no longer exists)
+  if (!replyTo || !replyTo.createdAt) return null;
+
+  const sender = replyTo.sender && replyTo.sender._id
+    ? {
+        _id: replyTo.sender._id,
+        fullName: replyTo.sender.fullName,
+        phoneNumber: replyTo.sender.phoneNumber,
+        avatar: replyTo.sender.avatar,
+      }
+    : replyTo.sender || null;
+
+  const thumbnailUrl = replyTo.deletedAt
+    ? undefined
+    : replyTo.file?.thumbnailUrl || (replyTo.type === 'image' ? replyTo.file?.url : undefined);
+
+  return {
+    _id: replyTo._id,
+    sender,
+    type: replyTo.type,
+    preview: getMessagePreviewText(replyTo, encryptionKey),
+    thumbnailUrl: signUploadUrl(thumbnailUrl) || undefined,
+    isDeleted: !!replyTo.deletedAt,
+    createdAt: replyTo.createdAt,
+  };
+};
+
+// Per-emoji reaction counts; `reactedByMe` is only set when a viewer is given
+const summarizeReactions = (reactions, userId = null) => {
+  const byEmoji = new Map();
+  (reactions || []).forEach((reaction) => {
+    if (!reaction?.emoji) return;
+    const entry = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, users: [] };
+    entry.count += 1;
+    entry.users.push(String(reaction.user?._id || reaction.user));
+    byEmoji.set(reaction.emoji, entry);
+  });
+
+  return Array.from(byEmoji.values())
+    .sort((a, b) => b.count - a.count)
+    .map((entry) => (userId
+      ? { ...entry, reactedByMe: entry.users.includes(String(userId)) }
+      : entry));
+};
+
+// Shape a lean message document for API/socket responses.
+// `getStatus` (optional) computes sent/delivered/read for the viewer's own messages.
+const formatMessageForClient = (message, { chat, userId = null, getStatus = null }) => {
+  const senderId = String(message.sender?._id || message.sender);
+  const isOwn = userId && senderId === String(userId);
+  return {
+    ...message,
+    file: signFileUrls(message.file),
+    replyTo: buildReplySnapshot(message.replyTo, chat?.encryptionKey),
+    reactions: summarizeReactions(message.reactions, userId),
+    deliveredTo: undefined,
+    ...(isOwn && getStatus ? { status: getStatus(message) } : {}),
+  };
+};
+
+module.exports = {
+  MESSAGE_TYPE_LABELS,
+  REPLY_TO_POPULATE,
+  getMessagePreviewText,
+  buildReplySnapshot,
+  summarizeReactions,
+  formatMessageForClient,
+};
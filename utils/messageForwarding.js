@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { createActionError, getChatForParticipant } = require('./messageActions');
+const { decryptMessageContent, encryptMessageContent } = require('./messageEncryption');
+const { sendChatMessage } = require('./messageSender');
+
+const MAX_FORWARD_MESSAGES = 50;
+const MAX_FORWARD_TARGETS = 20;
+const FORWARDABLE_TYPES = ['text', 'file', 'image', 'audio', 'video'];
+
+const parseIdList = (value, fieldName, max) => {
+  const ids = Array.from(new Set((Array.isArray(value) ? value : [value]).filter(Boolean).map(String)));
+  if (!ids.length) {
+    throw createActionError(400, `${fieldName} is required`);
+  }
+  if (ids.length > max) {
+    throw createActionError(400, `At most ${max} ${fieldName} allowed`);
+  }
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createActionError(400, `Invalid ${fieldName}`);
+  }
+  return ids;
+};
+
+// Source messages the user can see, oldest first
+const loadSourceMessages = async (messageIds, userId) => {
+  const messages = await Message.find({ _id: { $in: messageIds } })
+    .sort({ createdAt: 1, _id: 1 });
+  if (messages.length !== messageIds.length) {
+    throw createActionError(404, 'Message not found');
+  }
+
+  const sourceChats = await Chat.find({
+    _id: { $in: messages.map((message) => message.chat) },
+    participants: userId,
+  }).select('encryptionKey');
+  const chatsById = new Map(sourceChats.map((chat) => [String(chat._id), chat]));
+
+  messages.forEach((message) => {
+    if (!chatsById.has(String(message.chat))) {
+      throw createActionError(403, 'Access denied');
+    }
+    const hidden = (message.deletedFor || []).some((id) => id.toString() === userId.toString());
+    if (message.deletedAt || hidden || !FORWARDABLE_TYPES.includes(message.type)) {
+      throw createActionError(400, 'This message cannot be forwarded');
+    }
+  });
+
+  return { messages, chatsById };
+};
+
+// Plain text of a source message, or null when it has no content
+const getPlainContent = (message, sourceChat) => {
+  if (!message.content) return null;
+  if (!message.encryption?.iv) return message.content;
+  const plain = decryptMessageContent(message.content, message.encryption, sourceChat.encryptionKey);
+  if (plain === null) {
+    throw createActionError(422, 'Message content could not be decrypted for forwarding');
+  }
+  return plain;
+};
+
+/**
+ * Copy messages into other chats. Text is re-encrypted with each target chat's
+ * key; attachments keep pointing at the same upload and File record, so no bytes
+ * are copied. The copies are sent by the forwarding user and marked isForwarded.
+ * @returns {Promise<{ forwarded: Array<{ chatId: string, messageIds: string[] }> }>}
+ */
+async function forwardMessages({ io, userId, messageIds, targetChatIds }) {
+  const sourceIds = parseIdList(messageIds, 'messageIds', MAX_FORWARD_MESSAGES);
+  const targetIds = parseIdList(targetChatIds, 'targetChatIds', MAX_FORWARD_TARGETS);
+
+  const { messages, chatsById } = await loadSourceMessages(sourceIds, userId);
+  const targets = [];
+  for (const chatId of targetIds) {
+    const chat = await getChatForParticipant(chatId, userId);
+    if (!chat.encryptionKey) {
+      // Older chats get their key on save (see models/Chat.js)
+      await chat.save();
+    }
+    targets.push(chat);
+  }
+
+  const plainContents = messages.map((message) => getPlainContent(message, chatsById.get(String(message.chat))));
+
+  const forwarded = [];
+  for (const chat of targets) {
+    const sentIds = [];
+    for (let i = 0; i < messages.length; i += 1) {
+      const source = messages[i];
+      const plain = plainContents[i];
+      const encrypted = plain !== null && source.encryption?.iv
+        ? encryptMessageContent(plain, chat.encryptionKey, {
+            alg: source.encryption.alg || undefined,
+            version: source.encryption.version || undefined,
+          })
+        : null;
+
+      const { message } = await sendChatMessage({
+        io,
+        chat,
+        senderId: userId,
+        content: encrypted ? encrypted.content : (plain || ''),
+        type: source.type,
+        file: source.file?.url ? source.toObject().file : undefined,
+        encryption: encrypted ? encrypted.encryption : undefined,
+        // A forward of a forward still points at the original
+        forwardedFrom: source.forwardedFrom || source._id,
+      });
+      sentIds.push(String(message._id));
+    }
+    forwarded.push({ chatId: String(chat._id), messageIds: sentIds });
+  }
+
+  console.log(`↪️ Forwarded ${messages.length} message(s) to ${targets.length} chat(s)`);
+  return { forwarded };
+}
+
+module.exports = {
+  forwardMessages,
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { createActionError, getChatForParticipant } = require('./messageActions');
+const { tokenizeSearchText, hashSearchToken, getSearchableText, buildSnippet } = require('./searchIndex');
+const { encodeMessageCursor, decodeMessageCursor, buildCursorCondition } = require('./messageCursor');
+const { signFileUrls } = require('./fileAccess');
+
+const SEARCHABLE_TYPES = ['text', 'file', 'image', 'audio', 'video'];
+const MAX_QUERY_TOKENS = 8;
+
+const parseDate = (value, fieldName) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createActionError(400, `Invalid ${fieldName} date`);
+  }
+  return date;
+};
+
+/**
+ * Search the messages of every chat the user belongs to (or a single chat).
+ * Results are newest first; each result's `cursor` can be passed to
+ * GET /api/chats/:chatId/messages?direction=around to open the conversation at that message.
+ */
+async function searchMessages({ userId, q, chatId, senderId, type, from, to, limit = 20, cursor }) {
+  const queryTokens = tokenizeSearchText(q).slice(0, MAX_QUERY_TOKENS);
+  if (!queryTokens.length) {
+    throw createActionError(400, 'Search query is required');
+  }
+  if (type && !SEARCHABLE_TYPES.includes(type)) {
+    throw createActionError(400, 'Invalid message type');
+  }
+  if (senderId && !mongoose.Types.ObjectId.isValid(senderId)) {
+    throw createActionError(400, 'Invalid sender');
+  }
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+
+  const chats = chatId
+    ? [await getChatForParticipant(chatId, userId)]
+    : await Chat.find({ participants: userId }).select('encryptionKey isGroup groupId');
+  const searchableChats = chats.filter((chat) => chat.encryptionKey);
+  if (!searchableChats.length) {
+    return { results: [], hasMore: false, nextCursor: null };
+  }
+
+  // Tokens hash differently per chat, so each chat gets its own clause
+  const query = {
+    $and: [
+      {
+        $or: searchableChats.map((chat) => ({
+          chat: chat._id,
+          searchTokens: { $all: queryTokens.map((token) => hashSearchToken(token, chat.encryptionKey)) },
+        })),
+      },
+    ],
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  };
+  if (senderId) query.sender = senderId;
+  query.type = type || { $in: SEARCHABLE_TYPES };
+  if (fromDate || toDate) {
+    query.createdAt = {
+      ...(fromDate ? { $gte: fromDate } : {}),
+      ...(toDate ? { $lte: toDate } : {}),
+    };
+  }
+  if (cursor) {
+    const position = decodeMessageCursor(cursor);
+    if (!position) {
+      throw createActionError(400, 'Invalid cursor');
+    }
+    query.$and.push(buildCursorCondition(position, 'before'));
+  }
+
+  const limitNum = Math.min(parseInt(limit, 10) || 20, 50);
+  const messages = await Message.find(query)
+    .populate('sender', 'phoneNumber role fullName avatar')
+    .populate('chat', 'isGroup groupId')
+    .select('chat sender content encryption type file createdAt editedAt')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limitNum + 1)
+    .lean();
+
+  const hasMore = messages.length > limitNum;
+  const page = hasMore ? messages.slice(0, limitNum) : messages;
+  const keysByChat = new Map(searchableChats.map((chat) => [String(chat._id), chat.encryptionKey]));
+
+  const results = page.map((message) => {
+    const chatKey = keysByChat.get(String(message.chat?._id || message.chat));
+    const { snippet, highlights } = buildSnippet(getSearchableText(message, chatKey), queryTokens);
+    return {
+      message: {
+        _id: message._id,
+        chat: message.chat,
+        sender: message.sender,
+        type: message.type,
+        file: signFileUrls(message.file),
+        createdAt: message.createdAt,
+        editedAt: message.editedAt,
+      },
+      snippet,
+      highlights,
+      cursor: encodeMessageCursor(message),
+    };
+  });
+
+  return {
+    results,
+    hasMore,
+    nextCursor: hasMore ? encodeMessageCursor(page[page.length - 1]) : null,
+  };
+}
+
+module.exports = {
+  searchMessages,
+};
@@ -0,0 +1,392 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const {
+  sendPushNotification,
+  sendFcmNotification,
+  sendApnsNotification,
+  getMentionNotificationBody,
+} = require('./pushNotifications');
+const { decryptMessageContent } = require('./messageEncryption');
+const { REPLY_TO_POPULATE, buildReplySnapshot } = require('./messageFormatting');
+const { createActionError } = require('./messageActions');
+const { buildSearchTokens } = require('./searchIndex');
+const { encodeMessageCursor } = require('./messageCursor');
+const { recordMessageSent, getBadgeCount } = require('./readState');
+const { recordSyncEvent } = require('./syncLog');
+const { getMutedUserIds, unarchiveOnNewMessage } = require('./chatPreferences');
+const { resolveMentions, isMentioned } = require('./mentions');
+const { queueLinkPreview } = require('./linkPreview');
+const { signFileUrls, canAttachFile } = require('./fileAccess');
+const { withProcessedMedia } = require('./mediaJobs');
+const { linkMessageFile } = require('./fileCleanup');
+
+// Helper function to normalize file URL to relative path
+// Converts full URLs like http://172.20.10.3:3000/uploads/file.jpg to /uploads/file.jpg
+function normalizeFileUrl(url) {
+  if (!url) return url;
+
+  // If it's already a relative path, return as is (minus the query of a signed URL)
+  if (url.startsWith('/')) {
+    return url.split(/[?#]/)[0];
+  }
+
+  // If it's a full URL, extract the path
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname;
+  } catch (e) {
+    // If URL parsing fails, try to extract path manually
+    const match = url.match(/\/uploads\/[^?#]+/);
+    if (match) {
+      return match[0];
+    }
+    // Fallback: return as is if we can't parse it
+    return url;
+  }
+}
+
+const normalizeMessageFile = (file) => {
+  if (!file) return file;
+  return {
+    ...file,
+    ...(file.url ? { url: normalizeFileUrl(file.url) } : {}),
+    ...(file.thumbnailUrl ? { thumbnailUrl: normalizeFileUrl(file.thumbnailUrl) } : {}),
+    ...(file.renditionUrl ? { renditionUrl: normalizeFileUrl(file.renditionUrl) } : {})
+  };
+};
+
+const resolveReplyTo = async (chatId, replyTo) => {
+  if (!replyTo) return undefined;
+  if (!mongoose.Types.ObjectId.isValid(replyTo)) {
+    throw createActionError(400, 'Invalid reply target');
+  }
+  const target = await Message.exists({ _id: replyTo, chat: chatId });
+  if (!target) {
+    throw createActionError(400, 'Reply target not found in this chat');
+  }
+  return replyTo;
+};
+
+const sendMessagePushes = async ({ chat, message, senderId, groupInfo, content, type, encryption, previewText, alwaysPushExpo }) => {
+  const sender = await User.findById(senderId).select('fullName phoneNumber').lean();
+  const senderName = sender?.fullName || sender?.phoneNumber || 'Người dùng';
+  const recipients = chat.participants.filter(p => p.toString() !== senderId.toString());
+  const mutedUserIds = await getMutedUserIds(chat._id, recipients);
+
+  await Promise.all(recipients.map(async (participantId) => {
+    try {
+      // Always send push notification for messages.
+      // Rationale: mobile apps may keep sockets connected in background,
+      // which would otherwise suppress notifications.
+
+      const recipient = await User.findById(participantId)
+        .select('pushTokens fcmTokens apnsTokens')
+        .lean();
+      if (!recipient) return;
+
+      const expoTokens = (recipient.pushTokens || []).map((t) => t.token).filter(Boolean);
+      const fcmTokens = (recipient.fcmTokens || []).map((t) => t.token).filter(Boolean);
+      const apnsTokens = (recipient.apnsTokens || []).map((t) => t.token).filter(Boolean);
+      if (expoTokens.length === 0 && fcmTokens.length === 0 && apnsTokens.length === 0) return;
+
+      const safePreview = typeof previewText === 'string' && previewText.trim()
+        ? previewText.trim().slice(0, 120)
+        : null;
+      const decryptedPreview = !safePreview && encryption?.alg
+        ? decryptMessageContent(content || '', encryption, chat.encryptionKey)
+        : null;
+      const contentLooksEncrypted = typeof content === 'string' && content.length > 24 && /^[A-Za-z0-9+/=]+$/.test(content);
+      const body =
+        safePreview ||
+        (decryptedPreview ? decryptedPreview.slice(0, 120) : null) ||
+        ((encryption?.alg || contentLooksEncrypted) ? '🔐 Tin nhắn mới' :
+        type === 'image' ? '📷 Hình ảnh' :
+        type === 'video' ? '🎥 Video' :
+        type === 'audio' ? '🎤 Tin nhắn thoại' :
+        type === 'file' ? '📎 Tệp đính kèm' :
+        content || 'Tin nhắn mới');
+
+      // Mentions get through a muted chat
+      const mentioned = isMentioned(message, participantId);
+
+      const payload = {
+        title: chat.isGroup ? (groupInfo?.name || 'Nhóm') : senderName,
+        body: mentioned ? getMentionNotificationBody(senderName, body) : body,
+        badge: await getBadgeCount(participantId),
+        // Muted chats still update the badge, without alert or sound
+        silent: !mentioned && mutedUserIds.has(String(participantId)),
+        sound: 'default',
+        priority: 'high',
+        channelId: 'default',
+        data: {
+          type: 'message',
+          chatId: String(chat._id),
+          messageId: String(message._id),
+          // Lets a notification tap open the chat around this message
+          cursor: encodeMessageCursor(message),
+          senderId: String(senderId),
+          senderName,
+          isGroup: !!chat.isGroup,
+          mentioned,
+        },
+      };
+
+      // Prefer native tokens to avoid Expo APNs credential dependency.
+      // - Android: FCM
+      // - iOS: APNs
+      // Only fall back to Expo if no native tokens exist at all, unless the
+      // caller still pushes to every token (`send-message` socket event).
+      if (fcmTokens.length) {
+        const invalidTokens = await sendFcmNotification(fcmTokens, payload);
+        if (invalidTokens && invalidTokens.length > 0) {
+          await User.updateOne(
+            { _id: participantId },
+            { $pull: { fcmTokens: { token: { $in: invalidTokens } } } }
+          );
+        }
+      }
+      if (apnsTokens.length) {
+        const invalidTokens = await sendApnsNotification(apnsTokens, payload);
+        if (invalidTokens && invalidTokens.length > 0) {
+          await User.updateOne(
+            { _id: participantId },
+            { $pull: { apnsTokens: { token: { $in: invalidTokens } } } }
+          );
+        }
+      }
+      if (expoTokens.length && (alwaysPushExpo || (!fcmTokens.length && !apnsTokens.length))) {
+        await sendPushNotification(expoTokens, payload);
+      }
+    } catch (pushError) {
+      console.error('Error sending push notification:', pushError);
+    }
+  }));
+};
+
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100;
+
+const normalizeClientMessageId = (clientMessageId) => {
+  if (clientMessageId === undefined || clientMessageId === null || clientMessageId === '') return undefined;
+  if (typeof clientMessageId !== 'string' || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH) {
+    throw createActionError(400, 'Invalid clientMessageId');
+  }
+  return clientMessageId;
+};
+
+const populateSentMessage = async (message) => {
+  await message.populate('sender', 'phoneNumber role fullName avatar');
+  await message.populate('readBy.user', 'phoneNumber role fullName avatar');
+  await message.populate(REPLY_TO_POPULATE);
+  await message.populate({
+    path: 'chat',
+    populate: {
+      path: 'groupId',
+      select: 'name code'
+    }
+  });
+  return message;
+};
+
+// Message data with chat info, as broadcast in `new-message`
+const buildMessageData = (message, chat) => {
+  const groupInfo = message.chat?.groupId || null;
+  const messageObject = message.toObject();
+  return {
+    ...messageObject,
+    file: signFileUrls(messageObject.file),
+    chat: {
+      _id: chat._id,
+      isGroup: chat.isGroup,
+      groupId: groupInfo ? {
+        _id: groupInfo._id,
+        name: groupInfo.name,
+        code: groupInfo.code
+      } : null
+    },
+    replyTo: buildReplySnapshot(message.replyTo, chat.encryptionKey),
+    createdAt: message.createdAt
+  };
+};
+
+// The message already stored for this clientMessageId, if any
+const findClientMessage = async (chat, senderId, clientMessageId) => {
+  if (!clientMessageId) return null;
+  const existing = await Message.findOne({ chat: chat._id, sender: senderId, clientMessageId });
+  if (!existing) return null;
+  await populateSentMessage(existing);
+  return { message: existing, messageData: buildMessageData(existing, chat), duplicate: true };
+};
+
+/**
+ * Save a message and fan it out to the chat: socket broadcast, chat list
+ * update and push notifications to the other participants.
+ * Shared by POST /api/chats/:chatId/messages and the `send-message` socket event;
+ * callers are expected to have checked that the sender is a participant.
+ * When `clientMessageId` was already used by this sender in this chat, nothing is
+ * sent again and the stored message is returned with `duplicate: true`.
+ * `alwaysPushExpo` also pushes to Expo tokens of recipients that have native
+ * FCM / APNs tokens, as the socket path always did.
+ * @returns {Promise<{ message: Object, messageData: Object, duplicate: boolean }>}
+ */
+async function sendChatMessage({
+  io,
+  chat,
+  senderId,
+  content,
+  type,
+  file,
+  encryption,
+  previewText,
+  replyTo,
+  clientMessageId,
+  systemEvent,
+  forwardedFrom,
+  mentions,
+  mentionsAll,
+  alwaysPushExpo = false,
+}) {
+  // System messages are only created by the server (see postSystemMessage)
+  if (type === 'system' && !systemEvent) {
+    throw createActionError(400, 'Invalid message type');
+  }
+  const isSystem = type === 'system';
+  const clientId = normalizeClientMessageId(clientMessageId);
+  const previous = await findClientMessage(chat, senderId, clientId);
+  if (previous) return previous;
+
+  const replyToId = await resolveReplyTo(chat._id, replyTo);
+  const mentionData = await resolveMentions({ chat, senderId, mentions, mentionsAll });
+  const messageFile = normalizeMessageFile(file);
+  if (messageFile && !(await canAttachFile(senderId, messageFile))) {
+    throw createActionError(403, 'You cannot attach this file');
+  }
+
+  const message = new Message({
+    chat: chat._id,
+    sender: senderId,
+    content,
+    type: type || 'text',
+    file: (await withProcessedMedia(messageFile)) || undefined,
+    encryption: encryption || undefined,
+    clientMessageId: clientId,
+    replyTo: replyToId,
+    systemEvent: isSystem ? systemEvent : undefined,
+    mentions: mentionData.mentions,
+    mentionsAll: mentionData.mentionsAll,
+    forwardedFrom: forwardedFrom || null,
+    isForwarded: !!forwardedFrom,
+    expiresAt: chat.messageTtlSeconds && !isSystem
+      ? new Date(Date.now() + chat.messageTtlSeconds * 1000)
+      : null,
+  });
+  message.searchTokens = buildSearchTokens(message, chat.encryptionKey);
+
+  try {
+    await message.save();
+  } catch (error) {
+    // A concurrent retry with the same clientMessageId won the race
+    if (error.code === 11000 && clientId) {
+      const stored = await findClientMessage(chat, senderId, clientId);
+      if (stored) return stored;
+    }
+    throw error;
+  }
+  if (message.file?.url) {
+    await linkMessageFile(message);
+  }
+  await populateSentMessage(message);
+
+  // Update chat updatedAt
+  chat.updatedAt = new Date();
+  await chat.save();
+
+  // System messages do not count as unread
+  if (!isSystem) {
+    try {
+      await recordMessageSent(chat, message);
+      await unarchiveOnNewMessage(io, chat);
+    } catch (stateError) {
+      console.error('Error updating unread counters:', stateError);
+    }
+  }
+
+  const messageData = buildMessageData(message, chat);
+  await fanOutChatMessage({ io, chat, message, messageData, senderId, previewText, alwaysPushExpo });
+
+  return { message, messageData, duplicate: false };
+}
+
+/**
+ * Announce a stored message: sync log entry, `new-message` / `chat-updated`
+ * broadcasts, link preview and (except for system messages) pushes to the
+ * other participants. Called by sendChatMessage, and again for a message whose
+ * send was interrupted after it was saved (see utils/scheduledMessages.js).
+ */
+async function fanOutChatMessage({ io, chat, message, messageData, senderId, previewText, alwaysPushExpo = false }) {
+  await recordSyncEvent({ chat: chat._id, type: 'message-created', data: { messageId: String(message._id) } });
+
+  if (io) {
+    // Broadcast to all participants in the chat
+    io.to(`chat:${chat._id}`).emit('new-message', messageData);
+
+    // Update chat list for all participants
+    chat.participants.forEach(participantId => {
+      io.to(`user:${participantId}`).emit('chat-updated', {
+        chatId: chat._id,
+        lastMessage: message
+      });
+    });
+  }
+
+  if (message.type !== 'system') {
+    queueLinkPreview({ io, chat, message });
+    try {
+      await sendMessagePushes({
+        chat,
+        message,
+        senderId,
+        groupInfo: message.chat?.groupId || null,
+        content: message.content,
+        type: message.type,
+        encryption: message.encryption,
+        previewText,
+        alwaysPushExpo,
+      });
+    } catch (pushError) {
+      console.error('Error preparing push notification:', pushError);
+    }
+  }
+}
+
+/**
+ * Post a system message (setting changed, member added, ...) into a chat.
+ * `text` is the action without its subject, e.g. 'đã tắt tin nhắn tự xóa';
+ * the actor's name is prepended. System messages are broadcast like any other
+ * message but do not push and do not count as unread.
+ */
+async function postSystemMessage({ io, chat, actorId, event, text, targets = [], data = {} }) {
+  const actor = await User.findById(actorId).select('fullName phoneNumber').lean();
+  const actorName = actor?.fullName || actor?.phoneNumber || 'Người dùng';
+
+  return sendChatMessage({
+    io,
+    chat,
+    senderId: actorId,
+    content: `${actorName} ${text}`,
+    type: 'system',
+    systemEvent: {
+      type: event,
+      actor: actorId,
+      targets,
+      data,
+    },
+  });
+}
+
+module.exports = {
+  normalizeFileUrl,
+  sendChatMessage,
+  fanOutChatMessage,
+  postSystemMessage,
+};
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Group = require('../models/Group');
+const Message = require('../models/Message');
+const { createActionError, getChatForParticipant, getChatMessage, isChatAdmin } = require('./messageActions');
+const { getMessagePreviewText } = require('./messageFormatting');
+const { signUploadUrl } = require('./fileAccess');
+const { postSystemMessage } = require('./messageSender');
+const { recordSyncEvent } = require('./syncLog');
+
+// Pinning past the cap unpins the oldest pin
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES || '3', 10);
+
+const assertCanPin = async (chat, userId) => {
+  if (!chat.isGroup || !chat.groupId) return;
+  const group = await Group.findById(chat.groupId).select('onlyAdminsCanPin').lean();
+  if (group?.onlyAdminsCanPin && !(await isChatAdmin(chat, userId))) {
+    throw createActionError(403, 'Only group admins can pin messages in this group');
+  }
+};
+
+/**
+ * Pinned messages of a chat, newest pin first, each with sender and preview
+ * and the users it is hidden from (message deleted for them).
+ * Pins whose message no longer exists (unsent, expired) are skipped.
+ */
+const loadPins = async (chat) => {
+  const pins = chat.pinnedMessages || [];
+  if (!pins.length) return [];
+
+  const messages = await Message.find({
+    _id: { $in: pins.map((pin) => pin.message) },
+    deletedAt: null,
+  })
+    .populate('sender', 'phoneNumber fullName avatar')
+    .select('sender type content encryption file createdAt deletedFor')
+    .lean();
+  const messagesById = new Map(messages.map((message) => [String(message._id), message]));
+
+  return pins
+    .filter((pin) => messagesById.has(String(pin.message)))
+    .sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt))
+    .map((pin) => {
+      const message = messagesById.get(String(pin.message));
+      return {
+        hiddenFor: (message.deletedFor || []).map(String),
+        pin: {
+          messageId: String(message._id),
+          sender: message.sender,
+          type: message.type,
+          preview: getMessagePreviewText(message, chat.encryptionKey),
+          thumbnailUrl: signUploadUrl(message.file?.thumbnailUrl || (message.type === 'image' ? message.file?.url : undefined)),
+          createdAt: message.createdAt,
+          pinnedBy: String(pin.pinnedBy),
+          pinnedAt: pin.pinnedAt,
+        },
+      };
+    });
+};
+
+const visiblePins = (entries, userId) => entries
+  .filter((entry) => !entry.hiddenFor.includes(String(userId)))
+  .map((entry) => entry.pin);
+
+// Pinned messages of a chat as the user sees them (without messages they deleted for themselves)
+async function listPinnedMessages({ chatId, userId, chat = null }) {
+  const pinnedChat = chat || await getChatForParticipant(chatId, userId);
+  return visiblePins(await loadPins(pinnedChat), userId);
+}
+
+// One `pins-updated` to the chat room; only users who deleted a pinned message
+// for themselves get their own list instead. Returns the list for `userId`.
+const broadcastPins = async (io, chat, userId) => {
+  const entries = await loadPins(chat);
+  await recordSyncEvent({ chat: chat._id, type: 'pins-updated', data: {} });
+  if (io) {
+    const chatId = String(chat._id);
+    const hidingUserIds = [...new Set(entries.flatMap((entry) => entry.hiddenFor))];
+    io.to(`chat:${chatId}`)
+      .except(hidingUserIds.map((hidingUserId) => `user:${hidingUserId}`))
+      .emit('pins-updated', { chatId, pins: entries.map((entry) => entry.pin) });
+    hidingUserIds.forEach((hidingUserId) => {
+      io.to(`user:${hidingUserId}`).emit('pins-updated', { chatId, pins: visiblePins(entries, hidingUserId) });
+    });
+  }
+  return visiblePins(entries, userId);
+};
+
+// Pull pins whose message was unsent or has expired, so they do not take up the cap
+const dropStalePins = async (chat) => {
+  const pinnedIds = (chat.pinnedMessages || []).map((pin) => pin.message);
+  if (!pinnedIds.length) return;
+  const liveIds = new Set((await Message.distinct('_id', { _id: { $in: pinnedIds }, deletedAt: null })).map(String));
+  const staleIds = pinnedIds.filter((id) => !liveIds.has(String(id)));
+  if (staleIds.length) {
+    await Chat.updateOne({ _id: chat._id }, { $pull: { pinnedMessages: { message: { $in: staleIds } } } });
+  }
+};
+
+async function pinMessage({ io, chatId, messageId, userId }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  await assertCanPin(chat, userId);
+  const message = await getChatMessage(chat._id, messageId);
+  if (message.deletedAt || message.type === 'system') {
+    throw createActionError(400, 'This message cannot be pinned');
+  }
+
+  await dropStalePins(chat);
+  // One atomic push, capped to the newest pins, so concurrent pins are not lost
+  const pinnedChat = await Chat.findOneAndUpdate(
+    { _id: chat._id, 'pinnedMessages.message': { $ne: message._id } },
+    {
+      $push: {
+        pinnedMessages: {
+          $each: [{ message: message._id, pinnedBy: userId, pinnedAt: new Date() }],
+          $slice: -MAX_PINNED_MESSAGES,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!pinnedChat) {
+    // Already pinned
+    return { chatId: String(chat._id), pins: await listPinnedMessages({ chatId: chat._id, userId }) };
+  }
+
+  await postSystemMessage({
+    io,
+    chat,
+    actorId: userId,
+    event: 'message-pinned',
+    text: 'đã ghim một tin nhắn',
+    data: { messageId: String(message._id) },
+  });
+
+  return { chatId: String(chat._id), pins: await broadcastPins(io, pinnedChat, userId) };
+}
+
+async function unpinMessage({ io, chatId, messageId, userId }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  await assertCanPin(chat, userId);
+
+  const unpinnedChat = mongoose.Types.ObjectId.isValid(messageId)
+    ? await Chat.findOneAndUpdate(
+      { _id: chat._id, 'pinnedMessages.message': messageId },
+      { $pull: { pinnedMessages: { message: messageId } } },
+      { new: true }
+    )
+    : null;
+  if (!unpinnedChat) {
+    throw createActionError(404, 'Message is not pinned');
+  }
+
+  await postSystemMessage({
+    io,
+    chat,
+    actorId: userId,
+    event: 'message-unpinned',
+    text: 'đã bỏ ghim một tin nhắn',
+    data: { messageId: String(messageId) },
+  });
+
+  return { chatId: String(chat._id), pins: await broadcastPins(io, unpinnedChat, userId) };
+}
+
+module.exports = {
+  MAX_PINNED_MESSAGES,
+  listPinnedMessages,
+  pinMessage,
+  unpinMessage,
+};
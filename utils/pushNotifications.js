@@ -69,17 +69,26 @@ const sendApnsNotification = async (tokens, payload) => {
   try {
     const notification = new apn.Notification();
     notification.topic = bundleId;
-    notification.pushType = 'alert';
-    notification.priority = 10;
     notification.expiry = Math.floor(Date.now() / 1000) + 60;
-    notification.alert = {
-      title: payload.title,
-      body: payload.body,
-    };
-    notification.sound = payload.sound || 'default';
+    notification.pushType = 'alert';
+    if (payload.silent) {
+      // Muted chat: a badge-only alert push (no alert, no sound). Background
+      // pushes may not carry a badge and are throttled by iOS.
+      notification.priority = 5;
+    } else {
+      notification.priority = 10;
+      notification.alert = {
+        title: payload.title,
+        body: payload.body,
+      };
+      notification.sound = payload.sound || 'default';
+    }
+    if (typeof payload.badge === 'number') {
+      notification.badge = payload.badge;
+    }
     notification.payload = payload.data || {};
 
-    console.log(`📱 [APNS] Sending alert push to ${tokens.length} device(s)`);
+    console.log(`📱 [APNS] Sending ${payload.silent ? 'silent' : 'alert'} push to ${tokens.length} device(s)`);
     const result = await provider.send(notification, tokens);
     const invalidTokens = [];
 
@@ -177,8 +186,9 @@ const sendFcmNotification = async (tokens, payload) => {
     });
     // Always include a notification payload so Android shows it in background/killed.
     // (Data-only pushes can be dropped or not displayed depending on app/background restrictions.)
+    // Silent pushes (muted chats) stay data-only.
     const notificationPayload =
-      payload.title || payload.body
+      !payload.silent && (payload.title || payload.body)
         ? {
             title: payload.title || undefined,
             body: payload.body || undefined,
@@ -189,7 +199,7 @@ const sendFcmNotification = async (tokens, payload) => {
       tokens,
       data: stringData,
       notification: notificationPayload,
-      android: {
+      android: payload.silent ? { priority: 'normal' } : {
         priority: androidPriority,
         notification: {
           channelId: payload.channelId || (isCallNotification ? 'calls' : 'default'),
@@ -198,6 +208,7 @@ const sendFcmNotification = async (tokens, payload) => {
           priority: isCallNotification ? 'max' : 'high',
           visibility: 'public',
           ...(isCallNotification ? { tag: `call:${stringData.chatId || ''}` } : {}),
+          ...(typeof payload.badge === 'number' ? { notificationCount: payload.badge } : {}),
         },
       },
       apns: {
@@ -206,7 +217,9 @@ const sendFcmNotification = async (tokens, payload) => {
         },
         payload: {
           aps: {
-            sound: payload.sound || 'default',
+            // Muted chats: badge only (a content-available push would be a background push)
+            ...(payload.silent ? {} : { sound: payload.sound || 'default' }),
+            ...(typeof payload.badge === 'number' && { badge: payload.badge }),
             ...(isCallNotification && {
               'interruption-level': 'critical',
               'relevance-score': 1.0,
@@ -304,6 +317,8 @@ const sendApnsVoipNotification = async (tokens, payload) => {
  * @param {Object} notification.data - Additional data (chatId, type, etc.)
  * @param {string} notification.sound - Sound file (default: 'default')
  * @param {number} notification.priority - Priority (default: 'high')
+ * @param {number} notification.badge - App icon badge count (optional)
+ * @param {boolean} notification.silent - Badge/data only, no alert or sound (optional)
  */
 async function sendPushNotification(pushTokens, notification) {
   if (!pushTokens || pushTokens.length === 0) {
@@ -319,12 +334,16 @@ async function sendPushNotification(pushTokens, notification) {
 
   const messages = pushTokens.map(token => ({
     to: token,
-    sound: notification.sound || 'default',
-    title: notification.title,
-    body: notification.body,
+    // Silent pushes (muted chats) carry only data and the badge
+    ...(notification.silent ? {} : {
+      sound: notification.sound || 'default',
+      title: notification.title,
+      body: notification.body,
+    }),
     data: notification.data || {},
     priority: notification.priority || 'high',
     channelId: notification.channelId || 'default',
+    ...(typeof notification.badge === 'number' ? { badge: notification.badge } : {}),
     // CRITICAL: Ensure notification is displayed even when app is in background/killed
     _displayInForeground: true, // Show even when app is open
   }));
@@ -536,11 +555,58 @@ async function sendCallEndNotification(user, callerName, chatId, callerId) {
   }
 }
 
+// Body of a message push for a user mentioned in it (directly or via @all)
+function getMentionNotificationBody(senderName, body) {
+  return body ? `${senderName} đã nhắc đến bạn: ${body}` : `${senderName} đã nhắc đến bạn`;
+}
+
+/**
+ * Notify a message's author that someone reacted to it (1:1 chats)
+ * @param {Object} user - Message author with pushTokens/fcmTokens/apnsTokens
+ * @param {string} reactorName - Name of the user who reacted
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message that received the reaction
+ * @param {string} emoji - Reaction emoji
+ */
+async function sendReactionNotification(user, reactorName, chatId, messageId, emoji) {
+  if (!user) return;
+  const expoTokens = (user.pushTokens || []).map(pt => pt.token).filter(Boolean);
+  const fcmTokens = (user.fcmTokens || []).map(pt => pt.token).filter(Boolean);
+  const apnsTokens = (user.apnsTokens || []).map(pt => pt.token).filter(Boolean);
+
+  const payload = {
+    title: reactorName,
+    body: `Đã bày tỏ cảm xúc ${emoji} về tin nhắn của bạn`,
+    sound: 'default',
+    priority: 'high',
+    channelId: 'default',
+    data: {
+      type: 'reaction',
+      chatId: String(chatId),
+      messageId: String(messageId),
+      emoji,
+    },
+  };
+
+  // Same preference as message pushes: native tokens first, Expo only as fallback.
+  if (fcmTokens.length) {
+    await sendFcmNotification(fcmTokens, payload);
+  }
+  if (apnsTokens.length) {
+    await sendApnsNotification(apnsTokens, payload);
+  }
+  if (!fcmTokens.length && !apnsTokens.length && expoTokens.length) {
+    await sendPushNotification(expoTokens, payload);
+  }
+}
+
 module.exports = {
   sendPushNotification,
   sendCallNotification,
   sendGroupCallNotification,
   sendCallEndNotification,
+  sendReactionNotification,
+  getMentionNotificationBody,
   sendApnsNotification,
   sendApnsNotificationWithReport,
   sendApnsVoipNotification,
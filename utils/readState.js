@@ -0,0 +1,377 @@
+const mongoose = require('mongoose');
+const ChatState = require('../models/ChatState');
+const Message = require('../models/Message');
+const { createActionError, getChatForParticipant } = require('./messageActions');
+const { buildCursorCondition } = require('./messageCursor');
+const { recordSyncEvent } = require('./syncLog');
+
+// Compare two (createdAt, _id) positions: negative if a is before b
+const comparePositions = (a, b) => {
+  const diff = new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  if (diff !== 0) return diff;
+  return String(a._id).localeCompare(String(b._id));
+};
+
+// Messages from others after the user's cursor that are still visible to them
+const countUnreadAfter = (chatId, userId, position) => Message.countDocuments({
+  chat: chatId,
+  sender: { $ne: userId },
+  deletedFor: { $ne: userId },
+  type: { $ne: 'system' },
+  ...(position ? buildCursorCondition(position, 'after') : {}),
+});
+
+/**
+ * Update read state after a message is sent: the sender has read up to their
+ * own message, everyone else gets one more unread message.
+ */
+async function recordMessageSent(chat, message) {
+  const senderId = message.sender?._id || message.sender;
+  const now = new Date();
+
+  const operations = chat.participants.map((participantId) => {
+    if (participantId.toString() === senderId.toString()) {
+      return {
+        updateOne: {
+          filter: { chat: chat._id, user: participantId },
+          update: {
+            $set: {
+              lastReadMessage: message._id,
+              lastReadMessageAt: message.createdAt,
+              readAt: now,
+              unreadCount: 0,
+            },
+          },
+          upsert: true,
+        },
+      };
+    }
+    return {
+      updateOne: {
+        filter: { chat: chat._id, user: participantId },
+        update: { $inc: { unreadCount: 1 } },
+        upsert: true,
+      },
+    };
+  });
+
+  if (operations.length) {
+    await ChatState.bulkWrite(operations, { ordered: false });
+  }
+}
+
+// Total unread messages across all of a user's chats (app icon badge)
+async function getBadgeCount(userId) {
+  const [result] = await ChatState.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), unreadCount: { $gt: 0 } } },
+    { $group: { _id: null, total: { $sum: '$unreadCount' } } },
+  ]);
+  return result?.total || 0;
+}
+
+// Map of chatId -> ChatState (lean) for the given chats
+async function getChatStates(userId, chatIds) {
+  const states = await ChatState.find({ user: userId, chat: { $in: chatIds } }).lean();
+  return new Map(states.map((state) => [String(state.chat), state]));
+}
+
+const UNREAD_REFRESH_ATTEMPTS = 3;
+
+/**
+ * Recount a ChatState's unread messages after its read cursor. The new count
+ * is only written while the cursor and counter are still the ones it was
+ * computed from, so a concurrent `$inc` from recordMessageSent or a cursor
+ * move is never overwritten; on a conflict the count is taken again.
+ * @returns {Promise<Object>} the state (lean) as last written or read
+ */
+async function refreshUnreadCount(state) {
+  let current = state;
+  for (let attempt = 0; attempt < UNREAD_REFRESH_ATTEMPTS; attempt++) {
+    const position = current.lastReadMessage
+      ? { createdAt: current.lastReadMessageAt, _id: current.lastReadMessage }
+      : null;
+    const unreadCount = await countUnreadAfter(current.chat, current.user, position);
+    if (unreadCount === current.unreadCount) return current;
+
+    const updated = await ChatState.findOneAndUpdate(
+      { _id: current._id, lastReadMessage: current.lastReadMessage || null, unreadCount: current.unreadCount },
+      { $set: { unreadCount } },
+      { new: true }
+    ).lean();
+    if (updated) return updated;
+    const latest = await ChatState.findById(current._id).lean();
+    if (!latest) return current;
+    current = latest;
+  }
+  return current;
+}
+
+// Recompute the unread counters of a chat after messages were removed from it
+async function recountUnread(chatId) {
+  const states = await ChatState.find({ chat: chatId, unreadCount: { $gt: 0 } }).lean();
+  await Promise.all(states.map((state) => refreshUnreadCount(state)));
+}
+
+/**
+ * Move the user's read cursor forward to `messageId` (or to the newest message
+ * when omitted) and recompute the unread counter. The cursor never moves back.
+ */
+async function markChatRead({ io, chatId, userId, messageId = null }) {
+  const chat = await getChatForParticipant(chatId, userId);
+
+  let target;
+  if (messageId) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw createActionError(404, 'Message not found');
+    }
+    target = await Message.findOne({ _id: messageId, chat: chat._id }).select('createdAt').lean();
+    if (!target) {
+      throw createActionError(404, 'Message not found');
+    }
+  } else {
+    target = await Message.findOne({ chat: chat._id, deletedFor: { $ne: userId } })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('createdAt')
+      .lean();
+  }
+
+  let state = await ChatState.findOneAndUpdate(
+    { chat: chat._id, user: userId },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+
+  // Only moves the cursor if it is still behind the target
+  let moved = false;
+  if (target) {
+    const advanced = await ChatState.findOneAndUpdate(
+      {
+        _id: state._id,
+        $or: [
+          { lastReadMessage: null },
+          { lastReadMessageAt: { $lt: target.createdAt } },
+          { lastReadMessageAt: target.createdAt, lastReadMessage: { $lt: target._id } },
+        ],
+      },
+      { $set: { lastReadMessage: target._id, lastReadMessageAt: target.createdAt, readAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (advanced) {
+      state = advanced;
+      moved = true;
+    }
+  }
+  state = await refreshUnreadCount(state);
+
+  const payload = {
+    chatId: String(chat._id),
+    userId: String(userId),
+    lastReadMessageId: state.lastReadMessage ? String(state.lastReadMessage) : null,
+    lastReadMessageAt: state.lastReadMessageAt,
+    readAt: state.readAt,
+    unreadCount: state.unreadCount,
+  };
+  if (moved) {
+    await recordSyncEvent({
+      chat: chat._id,
+      type: 'read-cursor',
+      data: {
+        userId: payload.userId,
+        lastReadMessageId: payload.lastReadMessageId,
+        lastReadMessageAt: payload.lastReadMessageAt,
+        readAt: payload.readAt,
+      },
+    });
+  }
+
+  if (io) {
+    if (moved) {
+      // Other participants see the read receipt
+      io.to(`chat:${chat._id}`).emit('chat-read', {
+        chatId: payload.chatId,
+        userId: payload.userId,
+        lastReadMessageId: payload.lastReadMessageId,
+        lastReadMessageAt: payload.lastReadMessageAt,
+        readAt: payload.readAt,
+      });
+    }
+    // The user's other devices update their counters
+    io.to(`user:${userId}`).emit('unread-updated', {
+      chatId: payload.chatId,
+      unreadCount: state.unreadCount,
+      badge: await getBadgeCount(userId),
+    });
+  }
+
+  return payload;
+}
+
+/**
+ * Add the user to Message.readBy (kept for clients that still track per-message
+ * reads) and return the message's readers for the `message-read` event.
+ */
+async function markMessageReadBy({ chatId, messageId, userId }) {
+  await Message.updateOne(
+    { _id: messageId, chat: chatId, 'readBy.user': { $ne: userId } },
+    { $push: { readBy: { user: userId, readAt: new Date() } } }
+  );
+  const message = await Message.findById(messageId)
+    .select('readBy')
+    .populate('readBy.user', 'phoneNumber role')
+    .lean();
+  return message?.readBy || [];
+}
+
+const MAX_DELIVERY_BATCH = 200;
+
+/**
+ * Record that the user's device received messages (socket ack or push receipt)
+ * and tell each sender through their `user:<id>` room.
+ */
+async function markMessagesDelivered({ io, chatId, userId, messageIds }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  const ids = (Array.isArray(messageIds) ? messageIds : [messageIds])
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .slice(0, MAX_DELIVERY_BATCH);
+  if (!ids.length) {
+    throw createActionError(400, 'messageIds is required');
+  }
+
+  const pendingQuery = {
+    _id: { $in: ids },
+    chat: chat._id,
+    sender: { $ne: userId },
+    'deliveredTo.user': { $ne: userId },
+  };
+  const pending = await Message.find(pendingQuery).select('sender').lean();
+  if (!pending.length) {
+    return { chatId: String(chat._id), delivered: [] };
+  }
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { ...pendingQuery, _id: { $in: pending.map((m) => m._id) } },
+    { $push: { deliveredTo: { user: userId, deliveredAt } } }
+  );
+
+  if (io) {
+    pending.forEach((message) => {
+      io.to(`user:${message.sender}`).emit('message-delivered', {
+        chatId: String(chat._id),
+        messageId: String(message._id),
+        userId: String(userId),
+        deliveredAt,
+      });
+    });
+  }
+
+  return {
+    chatId: String(chat._id),
+    delivered: pending.map((m) => String(m._id)),
+    deliveredAt,
+  };
+}
+
+// Read cursors of everyone in the chat except `userId`, for delivery ticks
+async function buildReceiptContext(chat, userId) {
+  const recipients = chat.participants
+    .map((p) => String(p))
+    .filter((p) => p !== String(userId));
+  const states = await ChatState.find({ chat: chat._id, user: { $in: recipients } })
+    .select('user lastReadMessage lastReadMessageAt readAt')
+    .lean();
+  return {
+    viewerId: String(userId),
+    recipients,
+    cursors: new Map(states.map((state) => [String(state.user), state])),
+  };
+}
+
+// When the recipient's read cursor covers the message, the time it last moved.
+// This is exact for the newest messages read and an upper bound for older ones.
+const getReadAt = (message, cursor) => {
+  if (!cursor?.lastReadMessage) return null;
+  const position = { createdAt: cursor.lastReadMessageAt, _id: cursor.lastReadMessage };
+  return comparePositions(message, position) <= 0 ? cursor.readAt : null;
+};
+
+// 'sent' | 'delivered' | 'read' for a message, based on every other participant
+const getDeliveryStatus = (message, context) => {
+  if (!context.recipients.length) return 'sent';
+  const delivered = new Set((message.deliveredTo || []).map((d) => String(d.user)));
+
+  let allRead = true;
+  let allDelivered = true;
+  context.recipients.forEach((recipientId) => {
+    const readAt = getReadAt(message, context.cursors.get(recipientId));
+    if (!readAt) allRead = false;
+    if (!readAt && !delivered.has(recipientId)) allDelivered = false;
+  });
+
+  if (allRead) return 'read';
+  if (allDelivered) return 'delivered';
+  return 'sent';
+};
+
+/**
+ * Per-recipient delivery and read times of a message (sender only).
+ */
+async function getMessageInfo({ chatId, messageId, userId }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createActionError(404, 'Message not found');
+  }
+  const message = await Message.findOne({ _id: messageId, chat: chat._id })
+    .select('sender createdAt deliveredTo deletedAt')
+    .populate('deliveredTo.user', 'phoneNumber fullName avatar')
+    .lean();
+  if (!message) {
+    throw createActionError(404, 'Message not found');
+  }
+  if (String(message.sender) !== String(userId)) {
+    throw createActionError(403, 'Only the sender can view message info');
+  }
+
+  await chat.populate('participants', 'phoneNumber fullName avatar');
+  const context = await buildReceiptContext(
+    { _id: chat._id, participants: chat.participants.map((p) => p._id) },
+    userId
+  );
+  const deliveredByUser = new Map(
+    (message.deliveredTo || []).map((d) => [String(d.user?._id || d.user), d.deliveredAt])
+  );
+
+  const recipients = chat.participants
+    .filter((p) => String(p._id) !== String(userId))
+    .map((participant) => {
+      const readAt = getReadAt(message, context.cursors.get(String(participant._id)));
+      const deliveredAt = deliveredByUser.get(String(participant._id)) || readAt || null;
+      return {
+        user: participant,
+        deliveredAt,
+        readAt,
+        status: readAt ? 'read' : deliveredAt ? 'delivered' : 'sent',
+      };
+    });
+
+  return {
+    messageId: String(message._id),
+    sentAt: message.createdAt,
+    status: getDeliveryStatus(message, context),
+    recipients,
+  };
+}
+
+module.exports = {
+  comparePositions,
+  recordMessageSent,
+  getBadgeCount,
+  getChatStates,
+  recountUnread,
+  markChatRead,
+  markMessageReadBy,
+  markMessagesDelivered,
+  buildReceiptContext,
+  getDeliveryStatus,
+  getMessageInfo,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const contentDisposition = (downloadName) =>
+  `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`;
+
+/**
+ * Driver for S3 and S3-compatible stores (MinIO, R2, ...): set `endpoint` and
+ * `forcePathStyle` for the latter. Clients keep requesting /uploads/<key> and
+ * are redirected to a short-lived signed URL. Same interface as the local
+ * driver in utils/storage.js.
+ */
+function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+  prefix = '',
+  signedUrlTtlSeconds = 3600,
+}) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Without explicit keys the SDK falls back to its default chain (env, instance role, ...)
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+  const locate = (key) => `s3://${bucket}/${objectKey(key)}`;
+
+  const signUrl = (key, { expiresIn = signedUrlTtlSeconds, downloadName } = {}) =>
+    getSignedUrl(client, new GetObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      ResponseContentDisposition: downloadName ? contentDisposition(downloadName) : undefined,
+    }), { expiresIn });
+
+  return {
+    name: 's3',
+    bucket,
+
+    async storeFile(key, localPath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(localPath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(localPath),
+        ContentLength: size,
+        ContentType: contentType || undefined,
+        // Keys never get new content, same as the local files
+        CacheControl: 'public, max-age=31536000, immutable',
+      }));
+      await fs.promises.unlink(localPath);
+      return locate(key);
+    },
+
+    locate,
+
+    async removeFile(key) {
+      try {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      } catch (error) {
+        console.error('Error deleting object:', objectKey(key), error.message);
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    getSignedUrl: signUrl,
+
+    async downloadFile(key, localPath) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      await pipeline(Body, fs.createWriteStream(localPath));
+      return localPath;
+    },
+
+    serveUploads() {
+      const router = express.Router();
+      router.get('/:key', async (req, res) => {
+        try {
+          const url = await signUrl(req.params.key);
+          // Reuse the redirect for a while, but never past the signature's expiry
+          res.set('Cache-Control', `private, max-age=${Math.floor(signedUrlTtlSeconds / 2)}`);
+          res.redirect(302, url);
+        } catch (error) {
+          console.error('Error signing upload URL:', error);
+          res.status(500).json({ message: 'Server error' });
+        }
+      });
+      return router;
+    },
+
+    async sendDownload(res, key, downloadName) {
+      res.redirect(302, await signUrl(key, { downloadName }));
+    },
+  };
+}
+
+module.exports = {
+  createS3Storage,
+};
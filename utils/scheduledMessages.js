@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { createActionError, getChatForParticipant } = require('./messageActions');
+const { sendChatMessage, fanOutChatMessage } = require('./messageSender');
+const { canAttachFile } = require('./fileAccess');
+
+const SCHEDULED_POLL_INTERVAL_MS = parseInt(process.env.SCHEDULED_POLL_INTERVAL_MS || '15000', 10);
+// A job still 'sending' after this long belongs to a runner that crashed
+const SCHEDULED_LOCK_TIMEOUT_MS = parseInt(process.env.SCHEDULED_LOCK_TIMEOUT_MS || '300000', 10);
+const MAX_SCHEDULED_ATTEMPTS = 5;
+// Doubles with every failed attempt
+const SCHEDULED_RETRY_DELAY_MS = 30 * 1000;
+const MAX_SCHEDULE_AHEAD_DAYS = 365;
+const SCHEDULABLE_TYPES = ['text', 'file', 'image', 'audio', 'video'];
+
+const parseSendAt = (value) => {
+  const sendAt = new Date(value);
+  if (!value || Number.isNaN(sendAt.getTime())) {
+    throw createActionError(400, 'sendAt is required');
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    throw createActionError(400, 'sendAt must be in the future');
+  }
+  if (sendAt.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    throw createActionError(400, `sendAt must be within ${MAX_SCHEDULE_AHEAD_DAYS} days`);
+  }
+  return sendAt;
+};
+
+// Fields a sender may set when scheduling or editing
+const pickScheduledFields = ({ content, type, file, encryption, previewText, replyTo }) => {
+  if (type !== undefined && !SCHEDULABLE_TYPES.includes(type)) {
+    throw createActionError(400, 'Invalid message type');
+  }
+  if (replyTo && !mongoose.Types.ObjectId.isValid(replyTo)) {
+    throw createActionError(400, 'Invalid reply target');
+  }
+  const fields = { content, type, file, encryption, previewText, replyTo };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+const getOwnScheduledMessage = async (chatId, scheduledId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+    throw createActionError(404, 'Scheduled message not found');
+  }
+  const scheduled = await ScheduledMessage.findOne({ _id: scheduledId, chat: chatId });
+  if (!scheduled) {
+    throw createActionError(404, 'Scheduled message not found');
+  }
+  if (scheduled.sender.toString() !== userId.toString()) {
+    throw createActionError(403, 'Only the sender can change a scheduled message');
+  }
+  return scheduled;
+};
+
+// Same check as sendChatMessage, so a job that can never be delivered is refused up front
+const assertCanAttach = async (userId, file) => {
+  if (file && !(await canAttachFile(userId, file))) {
+    throw createActionError(403, 'You cannot attach this file');
+  }
+};
+
+async function createScheduledMessage({ chatId, userId, sendAt, ...data }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  const fields = pickScheduledFields(data);
+  if (!fields.content && !fields.file?.url) {
+    throw createActionError(400, 'Content is required');
+  }
+  await assertCanAttach(userId, fields.file);
+
+  const scheduled = await ScheduledMessage.create({
+    ...fields,
+    chat: chat._id,
+    sender: userId,
+    sendAt: parseSendAt(sendAt),
+  });
+  console.log(`⏰ Message scheduled for ${scheduled.sendAt.toISOString()} in chat ${chat._id}`);
+  return scheduled;
+}
+
+// The user's own scheduled messages in a chat that have not been sent yet
+async function listScheduledMessages({ chatId, userId }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  return ScheduledMessage.find({
+    chat: chat._id,
+    sender: userId,
+    status: { $in: ['pending', 'sending', 'failed'] },
+  })
+    .sort({ sendAt: 1 })
+    .lean();
+}
+
+async function updateScheduledMessage({ chatId, scheduledId, userId, sendAt, ...data }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  await getOwnScheduledMessage(chat._id, scheduledId, userId);
+
+  const update = { ...pickScheduledFields(data), updatedAt: new Date() };
+  await assertCanAttach(userId, update.file);
+  if (sendAt !== undefined) {
+    update.sendAt = parseSendAt(sendAt);
+  }
+
+  // Conditional on status so an edit never races the runner's claim;
+  // editing a failed job queues it again
+  const updated = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduledId, status: { $in: ['pending', 'failed'] } },
+    { $set: { ...update, status: 'pending', attempts: 0, runAfter: null, lastError: null } },
+    { new: true }
+  );
+  if (!updated) {
+    throw createActionError(409, 'Scheduled message is already being sent or was sent');
+  }
+  return updated;
+}
+
+async function cancelScheduledMessage({ chatId, scheduledId, userId }) {
+  const chat = await getChatForParticipant(chatId, userId);
+  await getOwnScheduledMessage(chat._id, scheduledId, userId);
+
+  const cancelled = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduledId, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'cancelled', updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw createActionError(409, 'Scheduled message is already being sent or was sent');
+  }
+  return cancelled;
+}
+
+const claimScheduledMessage = (filter, now) => ScheduledMessage.findOneAndUpdate(
+  filter,
+  { $set: { status: 'sending', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+  { sort: { sendAt: 1 }, new: true }
+);
+
+/**
+ * Atomically take the next due job (past its retry backoff), or else one whose
+ * runner seems to have died mid-delivery. `reclaimed` tells the two apart: the
+ * earlier runner of a reclaimed job may still be working on it.
+ * @returns {Promise<{ scheduled: Object, reclaimed: boolean }|null>}
+ */
+const claimNextScheduledMessage = async () => {
+  const now = new Date();
+  const due = await claimScheduledMessage(
+    { status: 'pending', sendAt: { $lte: now }, runAfter: { $not: { $gt: now } } },
+    now
+  );
+  if (due) return { scheduled: due, reclaimed: false };
+
+  const stale = await claimScheduledMessage(
+    { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - SCHEDULED_LOCK_TIMEOUT_MS) } },
+    now
+  );
+  return stale ? { scheduled: stale, reclaimed: true } : null;
+};
+
+const deliverScheduledMessage = async (io, { scheduled, reclaimed }) => {
+  try {
+    const chat = await Chat.findById(scheduled.chat);
+    const isParticipant = chat?.participants.some(p => p.toString() === scheduled.sender.toString());
+    if (!isParticipant) {
+      throw createActionError(403, 'Sender is no longer in this chat');
+    }
+    // The sender may have lost access to the file since scheduling (left the chat it came from)
+    await assertCanAttach(scheduled.sender, scheduled.file?.url ? scheduled.toObject().file : undefined);
+
+    // The fixed clientMessageId makes a re-delivery after a crash return the
+    // message saved the first time instead of sending it again
+    const { message, messageData, duplicate } = await sendChatMessage({
+      io,
+      chat,
+      senderId: scheduled.sender,
+      content: scheduled.content,
+      type: scheduled.type,
+      file: scheduled.file?.url ? scheduled.toObject().file : undefined,
+      encryption: scheduled.encryption?.alg ? scheduled.toObject().encryption : undefined,
+      previewText: scheduled.previewText,
+      replyTo: scheduled.replyTo,
+      clientMessageId: `scheduled:${scheduled._id}`,
+    });
+
+    // Saved by an earlier attempt that then failed before recording the delivery:
+    // its broadcast and pushes may never have gone out. After a lock timeout the
+    // earlier attempt may still be running (and fanning out), so leave it to that one.
+    if (duplicate && !scheduled.message && !reclaimed && scheduled.lastError) {
+      await fanOutChatMessage({
+        io,
+        chat,
+        message,
+        messageData,
+        senderId: scheduled.sender,
+        previewText: scheduled.previewText,
+      });
+    }
+
+    await ScheduledMessage.updateOne(
+      { _id: scheduled._id },
+      { $set: { status: 'sent', message: message._id, sentAt: new Date(), lockedAt: null, lastError: null, updatedAt: new Date() } }
+    );
+    if (io) {
+      io.to(`user:${scheduled.sender}`).emit('scheduled-message-sent', {
+        chatId: String(scheduled.chat),
+        scheduledId: String(scheduled._id),
+        messageId: String(message._id),
+      });
+    }
+    console.log(`✅ Scheduled message ${scheduled._id} sent`);
+  } catch (error) {
+    // Errors with a status will not fix themselves (chat gone, bad reply target)
+    const failed = !!error.status || scheduled.attempts >= MAX_SCHEDULED_ATTEMPTS;
+    const runAfter = failed ? null : new Date(Date.now() + SCHEDULED_RETRY_DELAY_MS * 2 ** (scheduled.attempts - 1));
+    // Only while this attempt still holds the job: after a lock timeout another runner owns it
+    await ScheduledMessage.updateOne(
+      { _id: scheduled._id, status: 'sending', lockedAt: scheduled.lockedAt },
+      { $set: { status: failed ? 'failed' : 'pending', runAfter, lockedAt: null, lastError: error.message, updatedAt: new Date() } }
+    );
+    console.error(`❌ Scheduled message ${scheduled._id} ${failed ? 'failed' : 'will be retried'}:`, error.message);
+  }
+};
+
+/**
+ * Poll for due scheduled messages and send them through the normal message
+ * pipeline. State lives in MongoDB, so pending jobs survive restarts.
+ */
+function startScheduledMessageRunner(io) {
+  let running = false;
+
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      let claimed = await claimNextScheduledMessage();
+      while (claimed) {
+        await deliverScheduledMessage(io, claimed);
+        claimed = await claimNextScheduledMessage();
+      }
+    } catch (error) {
+      console.error('Error running scheduled messages:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULED_POLL_INTERVAL_MS);
+  timer.unref();
+  console.log(`⏰ Scheduled message runner started (every ${SCHEDULED_POLL_INTERVAL_MS / 1000}s)`);
+  return timer;
+}
+
+module.exports = {
+  createScheduledMessage,
+  listScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+  startScheduledMessageRunner,
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { decryptMessageContent } = require('./messageEncryption');
+
+// Blind search index for messages.
+// Message text is tokenized on the server (after decryption for encrypted chats)
+// and each token is stored as an HMAC keyed with the chat's encryption key, so the
+// index never holds plaintext and the same word hashes differently in every chat.
+
+const MAX_TOKENS_PER_MESSAGE = 300;
+const MAX_TOKEN_LENGTH = 64;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase + strip diacritics one character at a time, so offsets in the
+// result line up with offsets in the original text ("Đã gửi" -> "da gui").
+const foldText = (text) => {
+  let folded = '';
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === 'đ' || char === 'Đ') {
+      folded += 'd';
+      continue;
+    }
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    folded += base.length === 1 ? base : char.toLowerCase().slice(0, 1) || ' ';
+  }
+  return folded;
+};
+
+const tokenizeSearchText = (text) => {
+  if (!text || typeof text !== 'string') return [];
+  const tokens = new Set();
+  for (const match of foldText(text).matchAll(TOKEN_PATTERN)) {
+    tokens.add(match[0].slice(0, MAX_TOKEN_LENGTH));
+    if (tokens.size >= MAX_TOKENS_PER_MESSAGE) break;
+  }
+  return Array.from(tokens);
+};
+
+const hashSearchToken = (token, encryptionKey) =>
+  crypto
+    .createHmac('sha256', Buffer.from(encryptionKey || '', 'base64'))
+    .update(token)
+    .digest('base64')
+    .slice(0, 16);
+
+// Plain text of a message as the user sees it (decrypted when needed)
+const getSearchableText = (message, encryptionKey) => {
+  if (!message || message.deletedAt) return '';
+  const parts = [];
+
+  if (message.content) {
+    if (message.encryption?.iv) {
+      const decrypted = decryptMessageContent(message.content, message.encryption, encryptionKey);
+      if (decrypted) parts.push(decrypted);
+    } else {
+      parts.push(message.content);
+    }
+  }
+  if (message.file?.fileName) {
+    parts.push(message.file.fileName);
+  }
+  return parts.join(' ');
+};
+
+const buildSearchTokens = (message, encryptionKey) => {
+  if (!encryptionKey) return [];
+  return tokenizeSearchText(getSearchableText(message, encryptionKey))
+    .map((token) => hashSearchToken(token, encryptionKey));
+};
+
+/**
+ * Cut a snippet around the first match and report where the query terms appear in it.
+ * @returns {{ snippet: string, highlights: Array<{ start: number, length: number }> }}
+ */
+const buildSnippet = (text, queryTokens, maxLength = 160) => {
+  if (!text) return { snippet: '', highlights: [] };
+  const folded = foldText(text);
+
+  const matches = [];
+  queryTokens.forEach((token) => {
+    let index = folded.indexOf(token);
+    while (index !== -1) {
+      const before = index === 0 ? '' : folded[index - 1];
+      if (!before || !/[\p{L}\p{N}]/u.test(before)) {
+        matches.push({ start: index, length: token.length });
+      }
+      index = folded.indexOf(token, index + token.length);
+    }
+  });
+  matches.sort((a, b) => a.start - b.start);
+
+  const firstMatch = matches[0]?.start || 0;
+  const start = text.length <= maxLength ? 0 : Math.max(0, Math.min(firstMatch - 40, text.length - maxLength));
+  const end = Math.min(text.length, start + maxLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter((m) => m.start >= start && m.start + m.length <= end)
+      .map((m) => ({ start: m.start - start + prefix.length, length: m.length })),
+  };
+};
+
+module.exports = {
+  tokenizeSearchText,
+  hashSearchToken,
+  getSearchableText,
+  buildSearchTokens,
+  buildSnippet,
+};
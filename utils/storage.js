@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Where uploads live with the local driver. With any driver, uploads are first
+// written and processed here (multer, resumable parts, sharp) and then handed to storage.
+const uploadsDir = path.join(__dirname, '../uploads');
+
+/**
+ * Storage drivers hold uploaded files by key (the file name in /uploads/<key>;
+ * stored URLs keep that form whatever the driver). Every driver provides:
+ * - storeFile(key, localPath, { contentType }) - take over a processed local file,
+ *   returns its location (recorded as File.filePath)
+ * - locate(key) - that location, for a file already stored
+ * - removeFile(key) - delete, ignoring files that are already gone
+ * - exists(key)
+ * - getSignedUrl(key, { expiresIn, downloadName }) - URL a client can fetch
+ * - downloadFile(key, localPath) - copy a stored file to local disk
+ * - serveUploads() - Express handler mounted at /uploads
+ * - sendDownload(res, key, downloadName) - answer a download request
+ */
+function createLocalStorage({ root = uploadsDir } = {}) {
+  // Keys are flat file names; anything else could escape the uploads directory
+  const resolvePath = (key) => path.join(root, path.basename(String(key)));
+
+  return {
+    name: 'local',
+    root,
+
+    async storeFile(key, localPath) {
+      const target = resolvePath(key);
+      if (path.resolve(localPath) !== target) {
+        await fs.promises.rename(localPath, target);
+      }
+      return target;
+    },
+
+    locate: resolvePath,
+
+    async removeFile(key) {
+      const filePath = resolvePath(key);
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error deleting file:', filePath, error.message);
+        }
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolvePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async getSignedUrl(key) {
+      return `/uploads/${encodeURIComponent(key)}`;
+    },
+
+    async downloadFile(key, localPath) {
+      await fs.promises.copyFile(resolvePath(key), localPath);
+      return localPath;
+    },
+
+    // Serve uploads with AGGRESSIVE caching for images
+    serveUploads() {
+      return express.static(root, {
+        maxAge: '365d', // Cache for 1 year (like production apps: Zalo, Messenger, WhatsApp)
+        etag: true, // Enable ETag for cache validation
+        lastModified: true, // Enable Last-Modified header
+        immutable: true, // Tell browsers file will never change
+        setHeaders: (res, filePath) => {
+          // Add additional cache headers for better performance
+          // (attachments already got a private one from protectUploads, utils/fileAccess.js)
+          if (!res.getHeader('Cache-Control')) {
+            res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+          }
+          console.log(`📦 [CACHE] Serving cached file: ${path.basename(filePath)}`);
+        }
+      });
+    },
+
+    sendDownload(res, key, downloadName) {
+      res.download(resolvePath(key), downloadName);
+    },
+  };
+}
+
+/**
+ * Storage for a driver name ('local' or 's3'); S3 settings come from the
+ * S3_* environment variables (see README).
+ */
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  if (driver === 'local') {
+    return createLocalStorage();
+  }
+  if (driver === 's3') {
+    // Only loaded when used, so local installs do not need the AWS SDK
+    const { createS3Storage } = require('./s3Storage');
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX || '',
+      signedUrlTtlSeconds: parseInt(process.env.S3_SIGNED_URL_TTL_SECONDS || '3600', 10),
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// The storage every upload goes to, picked by STORAGE_DRIVER
+const storage = createStorage();
+
+module.exports = {
+  uploadsDir,
+  storage,
+  createStorage,
+};
@@ -0,0 +1,203 @@
+const Chat = require('../models/Chat');
+const Counter = require('../models/Counter');
+const Message = require('../models/Message');
+const SyncEvent = require('../models/SyncEvent');
+const { REPLY_TO_POPULATE, formatMessageForClient } = require('./messageFormatting');
+
+const MAX_SYNC_PAGE = 500;
+const SYNC_SEQUENCE = 'sync-events';
+// How long a taken position may stay unwritten before its gap counts as a failed write
+const SYNC_SETTLE_MS = parseInt(process.env.SYNC_SETTLE_MS || '10000', 10);
+
+// Events whose payload is the current state of a message
+const MESSAGE_EVENT_TYPES = [
+  'message-created',
+  'message-edited',
+  'message-deleted',
+  'message-reaction',
+  'message-link-preview',
+  'message-media-processed',
+];
+
+/**
+ * Append a change to the sync log. Never throws: a failed log write must not
+ * fail the action that caused it.
+ * @param {Object} event
+ * @param {string} [event.chat] - Chat the change belongs to (visible to all participants)
+ * @param {string} [event.user] - User the change is private to
+ * @param {string} event.type - e.g. 'message-created', 'read-cursor', 'chat-removed'
+ * @param {Object} [event.data]
+ */
+async function recordSyncEvent({ chat = null, user = null, type, data = {} }) {
+  try {
+    // Positions come from one shared counter rather than ObjectIds, whose order
+    // depends on each server's clock
+    const { seq } = await Counter.findOneAndUpdate(
+      { _id: SYNC_SEQUENCE },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    ).lean();
+    await SyncEvent.create({ seq, chat, user, type, data });
+  } catch (error) {
+    console.error('Error recording sync event:', type, error.message);
+  }
+}
+
+/**
+ * Log a membership change: chat-scoped 'member-added'/'member-removed' for the
+ * other participants, plus 'chat-added'/'chat-removed' for each affected user
+ * (a removed user can no longer see the chat's own events).
+ * @param {'added'|'removed'} action
+ */
+async function recordMembershipChange(chatId, userIds, action) {
+  const ids = (Array.isArray(userIds) ? userIds : [userIds]).map(String);
+  await recordSyncEvent({ chat: chatId, type: `member-${action}`, data: { userIds: ids } });
+  await Promise.all(ids.map((userId) => recordSyncEvent({
+    user: userId,
+    type: `chat-${action}`,
+    data: { chatId: String(chatId) },
+  })));
+}
+
+const getLatestSyncToken = async () => {
+  const counter = await Counter.findById(SYNC_SEQUENCE).lean();
+  return String(counter?.seq || 0);
+};
+
+// Log position of a sync token, or null for a missing / malformed (or pre-counter ObjectId) token
+const parseSyncToken = (token) => {
+  if (typeof token !== 'string' || !/^\d{1,15}$/.test(token)) return null;
+  return Number(token);
+};
+
+// Events after the token may have been purged already (older than SYNC_RETENTION_DAYS)
+const isTokenExpired = async (position) => {
+  const oldest = await SyncEvent.findOne({ seq: { $type: 'number' } }).sort({ seq: 1 }).select('seq').lean();
+  if (oldest) return oldest.seq > position + 1;
+  // Empty log: only tokens from before everything was purged are stale
+  return position < parseInt(await getLatestSyncToken(), 10);
+};
+
+/**
+ * First position in (position, lastSeq] that was taken but is not written yet.
+ * A position is taken before its event is stored, so a slow write can appear
+ * behind events that are already readable; only recent gaps are considered,
+ * older ones are writes that failed.
+ * @returns {Promise<number|null>}
+ */
+const findPendingPosition = async (position, lastSeq) => {
+  const settledBefore = new Date(Date.now() - SYNC_SETTLE_MS);
+  const settled = await SyncEvent.findOne({ seq: { $lte: lastSeq }, createdAt: { $lt: settledBefore } })
+    .sort({ seq: -1 })
+    .select('seq')
+    .lean();
+  let expected = Math.max(position, settled?.seq || 0) + 1;
+  if (expected > lastSeq) return null;
+
+  const recent = await SyncEvent.find({ seq: { $gte: expected, $lte: lastSeq } })
+    .sort({ seq: 1 })
+    .select('seq')
+    .lean();
+  for (const event of recent) {
+    if (event.seq !== expected) return expected;
+    expected++;
+  }
+  return null;
+};
+
+const getVisibilityQuery = async (userId) => {
+  const chats = await Chat.find({ participants: userId }).select('encryptionKey').lean();
+  return {
+    chats,
+    query: {
+      $or: [
+        { chat: { $in: chats.map((chat) => chat._id) }, user: null },
+        { user: userId },
+      ],
+    },
+  };
+};
+
+// Whether anything changed for the user after `token`
+async function hasChangesSince(userId, token) {
+  const position = parseSyncToken(token);
+  if (position === null) return true;
+  const { query } = await getVisibilityQuery(userId);
+  return !!(await SyncEvent.exists({ ...query, seq: { $gt: position } }));
+}
+
+/**
+ * Every change visible to the user after `token`, oldest first.
+ * Message events carry the message's current state (formatted as in message listings).
+ * @returns {Promise<{ events: Array, token: string|null, hasMore: boolean, resetRequired?: boolean }>}
+ */
+async function getSyncChanges({ userId, token, limit = 200 }) {
+  const latestToken = await getLatestSyncToken();
+
+  // No token yet, or one older than the retention window: the client must refetch
+  // its chats, then continue from the latest token.
+  const position = parseSyncToken(token);
+  if (position === null || await isTokenExpired(position)) {
+    return { events: [], token: latestToken, hasMore: false, resetRequired: true };
+  }
+
+  const limitNum = Math.min(parseInt(limit, 10) || 200, MAX_SYNC_PAGE);
+  const { chats, query } = await getVisibilityQuery(userId);
+  const events = await SyncEvent.find({ ...query, seq: { $gt: position } })
+    .sort({ seq: 1 })
+    .limit(limitNum + 1)
+    .lean();
+
+  let hasMore = events.length > limitNum;
+  let page = hasMore ? events.slice(0, limitNum) : events;
+
+  // Stop before an event that is still being written, so the next sync picks it up
+  const pendingPosition = page.length ? await findPendingPosition(position, page[page.length - 1].seq) : null;
+  if (pendingPosition !== null) {
+    page = page.filter((event) => event.seq < pendingPosition);
+    hasMore = false;
+  }
+
+  // Attach the current state of every message referenced in this page
+  const messageIds = page
+    .filter((event) => MESSAGE_EVENT_TYPES.includes(event.type) && event.data?.messageId)
+    .map((event) => event.data.messageId);
+  const messages = messageIds.length
+    ? await Message.find({ _id: { $in: messageIds }, deletedFor: { $ne: userId } })
+      .populate('sender', 'phoneNumber role fullName avatar')
+      .populate(REPLY_TO_POPULATE)
+      .select('-revisions -deletedFor')
+      .lean()
+    : [];
+  const chatsById = new Map(chats.map((chat) => [String(chat._id), chat]));
+  const messagesById = new Map(messages.map((message) => [
+    String(message._id),
+    formatMessageForClient(message, { chat: chatsById.get(String(message.chat)), userId }),
+  ]));
+
+  return {
+    events: page
+      .map((event) => ({
+        id: String(event.seq),
+        type: event.type,
+        chatId: event.chat ? String(event.chat) : event.data?.chatId || null,
+        data: event.data,
+        ...(MESSAGE_EVENT_TYPES.includes(event.type)
+          ? { message: messagesById.get(String(event.data?.messageId)) || null }
+          : {}),
+        createdAt: event.createdAt,
+      }))
+      // Drop message events the user can no longer see (deleted for them)
+      .filter((event) => !('message' in event) || event.message || event.type === 'message-deleted'),
+    token: page.length ? String(page[page.length - 1].seq) : token,
+    hasMore,
+  };
+}
+
+module.exports = {
+  recordSyncEvent,
+  recordMembershipChange,
+  getLatestSyncToken,
+  hasChangesSince,
+  getSyncChanges,
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { getSharpFormat, writeOptimizedImage, writeThumbnail } = require('./imageProcessing');
+const { hashFile, acquireBlob, storeBlob, createBlobFile } = require('./blobs');
+const { uploadsDir, storage } = require('./storage');
+const { signUploadUrl } = require('./fileAccess');
+const { getInitialProcessingStatus, queueMediaJob } = require('./mediaJobs');
+
+const MAX_UPLOAD_SIZE = 200 * 1024 * 1024; // 200MB limit for videos
+
+// Stored name of a new upload: <timestamp>-<random><ext>
+const generateUploadFileName = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(originalName || '');
+};
+
+const removeQuietly = (filePath) => {
+  if (!filePath) return;
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    console.error('Error deleting file:', filePath, error.message);
+  }
+};
+
+/**
+ * Finish an upload sitting in uploads/ and create its File record. Content that
+ * is already stored (same sha256) is not kept twice: the new copy is deleted and
+ * the File points at the stored blob. Otherwise images are optimized and get a
+ * thumbnail (HEIC/HEIF is converted to JPEG, GIFs are kept as is), and the
+ * result is handed to storage (utils/storage.js). Videos are queued for
+ * background processing (utils/mediaJobs.js).
+ * `upload` is updated in place when the local file changes (HEIC conversion, or
+ * `filePath: null` once it was dropped or taken over by storage), so callers
+ * cleaning up after an error remove the right file.
+ * @param {Object} upload - { fileName, filePath, originalName, mimeType, size }
+ * @returns {Promise<Object>} The saved File
+ */
+async function saveUploadedFile(upload, userId) {
+  const contentHash = await hashFile(upload.filePath);
+  const contentSize = upload.size;
+
+  const existing = await acquireBlob(contentHash);
+  if (existing) {
+    removeQuietly(upload.filePath);
+    upload.filePath = null;
+    const file = await createBlobFile(existing, { originalName: upload.originalName, userId });
+    console.log(`♻️ Reused stored content for ${upload.originalName}:`, file._id);
+    return file;
+  }
+
+  let thumbnailFileName = null;
+  let thumbnailPath = null;
+  let imageWidth = null;
+  let imageHeight = null;
+
+  // Optimize images + create thumbnail (skip GIFs)
+  const isImage = upload.mimeType && upload.mimeType.startsWith('image/');
+  const isGif = upload.mimeType === 'image/gif';
+  const isHeic = upload.mimeType === 'image/heic' || upload.mimeType === 'image/heif';
+
+  if (isImage && !isGif && !isHeic) {
+    try {
+      const ext = path.extname(upload.fileName);
+      const baseName = path.basename(upload.fileName, ext);
+      thumbnailFileName = `${baseName}-thumb${ext}`;
+      thumbnailPath = path.join(uploadsDir, thumbnailFileName);
+
+      const format = getSharpFormat(upload.mimeType);
+      const tempFullPath = `${upload.filePath}.tmp`;
+
+      const fullInfo = await writeOptimizedImage(upload.filePath, tempFullPath, format);
+
+      fs.renameSync(tempFullPath, upload.filePath);
+
+      await writeThumbnail(upload.filePath, thumbnailPath, format);
+
+      imageWidth = fullInfo.width || null;
+      imageHeight = fullInfo.height || null;
+      upload.size = fs.statSync(upload.filePath).size;
+    } catch (imageError) {
+      console.error('Error optimizing image:', imageError);
+      thumbnailFileName = null;
+      thumbnailPath = null;
+    }
+  } else if (isHeic) {
+    try {
+      const ext = path.extname(upload.fileName);
+      const baseName = path.basename(upload.fileName, ext);
+      const jpegFileName = `${baseName}.jpg`;
+      const jpegPath = path.join(uploadsDir, jpegFileName);
+      const tempFullPath = `${jpegPath}.tmp`;
+
+      const fullInfo = await writeOptimizedImage(upload.filePath, tempFullPath, 'jpeg');
+
+      fs.renameSync(tempFullPath, jpegPath);
+      fs.unlinkSync(upload.filePath);
+
+      upload.fileName = jpegFileName;
+      upload.filePath = jpegPath;
+      upload.mimeType = 'image/jpeg';
+
+      thumbnailFileName = `${baseName}-thumb.jpg`;
+      thumbnailPath = path.join(uploadsDir, thumbnailFileName);
+
+      await writeThumbnail(upload.filePath, thumbnailPath, 'jpeg');
+
+      imageWidth = fullInfo.width || null;
+      imageHeight = fullInfo.height || null;
+      upload.size = fs.statSync(upload.filePath).size;
+    } catch (imageError) {
+      console.error('Error converting HEIC/HEIF:', imageError);
+      thumbnailFileName = null;
+      thumbnailPath = null;
+    }
+  }
+
+  const mimeType = upload.mimeType || 'application/octet-stream';
+  let stored;
+  try {
+    // Stored before the blob exists, so nobody is handed content that is not there yet
+    const filePath = await storage.storeFile(upload.fileName, upload.filePath, { contentType: mimeType });
+    upload.filePath = null;
+    const storedThumbnailPath = thumbnailPath
+      ? await storage.storeFile(thumbnailFileName, thumbnailPath, { contentType: mimeType })
+      : null;
+
+    stored = await storeBlob({
+      hash: contentHash,
+      size: contentSize,
+      fileName: upload.fileName,
+      filePath,
+      mimeType,
+      fileSize: upload.size,
+      thumbnailPath: storedThumbnailPath,
+      thumbnailFileName,
+      width: imageWidth,
+      height: imageHeight,
+      processingStatus: getInitialProcessingStatus(mimeType)
+    });
+  } catch (error) {
+    await storage.removeFile(upload.fileName);
+    if (thumbnailFileName) {
+      await storage.removeFile(thumbnailFileName);
+    }
+    removeQuietly(thumbnailPath);
+    throw error;
+  }
+
+  const { blob, created } = stored;
+  if (!created) {
+    // The same content finished uploading at the same time; keep that copy
+    await storage.removeFile(upload.fileName);
+    if (thumbnailFileName) {
+      await storage.removeFile(thumbnailFileName);
+    }
+  }
+
+  const file = await createBlobFile(blob, { originalName: upload.originalName, userId });
+  if (created) {
+    // Queued once the File exists, so the job's result reaches it
+    await queueMediaJob(blob);
+  }
+  console.log('File saved successfully:', file._id);
+  return file;
+}
+
+// Upload response shared by POST /api/files/upload and finished chunked uploads
+// (`url` is what the message or avatar should store; `signedUrl` is for showing it right away,
+// except for files claimed by hash, which the client already has)
+const formatUploadedFile = (file) => {
+  const url = `/uploads/${file.fileName}`;
+  const thumbnailUrl = file.thumbnailFileName ? `/uploads/${file.thumbnailFileName}` : undefined;
+  const renditionUrl = file.rendition?.fileName ? `/uploads/${file.rendition.fileName}` : undefined;
+  const signUrl = (value) => (file.claimedByHash ? undefined : signUploadUrl(value));
+  return {
+    id: file._id,
+    fileName: file.fileName,
+    originalName: file.originalName,
+    url,
+    thumbnailUrl,
+    signedUrl: signUrl(url),
+    signedThumbnailUrl: signUrl(thumbnailUrl),
+    mimeType: file.mimeType,
+    fileSize: file.fileSize,
+    width: file.width || undefined,
+    height: file.height || undefined,
+    // Videos: 'pending' until processed, then a `media-processed` event brings the rest
+    processingStatus: file.processingStatus || 'none',
+    duration: file.duration || undefined,
+    renditionUrl,
+    signedRenditionUrl: signUrl(renditionUrl)
+  };
+};
+
+module.exports = {
+  uploadsDir,
+  MAX_UPLOAD_SIZE,
+  generateUploadFileName,
+  saveUploadedFile,
+  formatUploadedFile,
+};
@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const { createActionError } = require('./messageActions');
+const {
+  uploadsDir,
+  MAX_UPLOAD_SIZE,
+  generateUploadFileName,
+  saveUploadedFile,
+  formatUploadedFile,
+} = require('./uploadProcessing');
+
+// How long an unfinished upload can sit idle before it is thrown away
+const UPLOAD_SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24', 10);
+const UPLOAD_CLEANUP_INTERVAL_MS = parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS || String(15 * 60 * 1000), 10);
+// A lock older than this belongs to a request that died while appending
+const APPEND_LOCK_STALE_MS = 60 * 1000;
+// Algorithms accepted in the tus Upload-Checksum header
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+
+// Partial uploads live in a dot-directory, which express.static does not serve
+const partialDir = path.join(uploadsDir, '.partial');
+
+const getExpiresAt = () => new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+const unlinkQuietly = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error deleting file:', filePath, error.message);
+    }
+  }
+};
+
+// tus Upload-Metadata: comma separated "key base64value" pairs
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+  String(header).split(',').forEach((pair) => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+  return metadata;
+};
+
+// "sha1 <base64 digest>" -> { algorithm, digest }
+const parseChecksum = (header) => {
+  if (!header) return null;
+  const [algorithm, digest] = String(header).trim().split(' ');
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    throw createActionError(400, 'Unsupported checksum algorithm');
+  }
+  return { algorithm, digest };
+};
+
+const formatUploadSession = (session) => ({
+  id: String(session._id),
+  originalName: session.originalName,
+  mimeType: session.mimeType,
+  length: session.length,
+  offset: session.offset,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  error: session.status === 'failed' ? session.lastError : undefined,
+  file: session.file && session.file.fileName ? formatUploadedFile(session.file) : null,
+});
+
+/**
+ * Start a resumable upload. `length` is the full file size in bytes;
+ * metadata carries `filename`/`filetype` (tus) or `fileName`/`mimeType`.
+ */
+async function createUploadSession({ userId, length, metadata = {}, rawMetadata = null }) {
+  const size = Number(length);
+  if (!Number.isInteger(size) || size <= 0) {
+    throw createActionError(400, 'Upload length is required');
+  }
+  if (size > MAX_UPLOAD_SIZE) {
+    throw createActionError(413, `File too large. Maximum size is ${MAX_UPLOAD_SIZE / 1024 / 1024}MB`);
+  }
+
+  const originalName = String(metadata.filename || metadata.fileName || metadata.name || 'file').slice(0, 255);
+  const mimeType = String(metadata.filetype || metadata.mimeType || metadata.type || 'application/octet-stream');
+
+  await fs.promises.mkdir(partialDir, { recursive: true });
+  const sessionId = new mongoose.Types.ObjectId();
+  const session = await UploadSession.create({
+    _id: sessionId,
+    uploadedBy: userId,
+    originalName,
+    mimeType,
+    metadata: rawMetadata,
+    fileName: generateUploadFileName(originalName),
+    partialPath: path.join(partialDir, String(sessionId)),
+    length: size,
+    expiresAt: getExpiresAt(),
+  });
+  // An empty file, so HEAD right after creation reports offset 0 on disk too
+  await fs.promises.writeFile(session.partialPath, '');
+
+  console.log(`📤 Upload session ${session._id} started (${size} bytes)`);
+  return session;
+}
+
+async function getUploadSession(uploadId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+    throw createActionError(404, 'Upload not found');
+  }
+  const session = await UploadSession.findOne({ _id: uploadId, uploadedBy: userId }).populate('file');
+  if (!session) {
+    throw createActionError(404, 'Upload not found');
+  }
+  if (session.status !== 'completed' && session.expiresAt <= new Date()) {
+    throw createActionError(410, 'Upload expired');
+  }
+  return session;
+}
+
+// Stream a request body into a staging file, counting and hashing as it goes
+const receivePart = async ({ stream, stagingPath, maxBytes, checksum }) => {
+  const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+  let received = 0;
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(createActionError(413, 'Part exceeds the upload length'));
+        return;
+      }
+      if (hash) hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(stream, counter, fs.createWriteStream(stagingPath));
+  } catch (error) {
+    await unlinkQuietly(stagingPath);
+    throw error.status ? error : createActionError(400, 'Upload interrupted');
+  }
+
+  if (hash && hash.digest('base64') !== checksum.digest) {
+    await unlinkQuietly(stagingPath);
+    // 460 is the tus checksum extension's "Checksum Mismatch"
+    throw createActionError(460, 'Checksum mismatch');
+  }
+  return received;
+};
+
+/**
+ * Append one part (PATCH body) at `offset`. The part is staged and checked
+ * (size, optional Upload-Checksum) before anything is written to the upload, so
+ * a dropped or corrupt part leaves the session at its last good offset.
+ * When the last byte arrives the file is finished and gets its File record.
+ */
+async function appendUploadPart({ uploadId, userId, offset, stream, checksumHeader }) {
+  const session = await getUploadSession(uploadId, userId);
+  const checksum = parseChecksum(checksumHeader);
+  const start = Number(offset);
+
+  if (session.status !== 'uploading') {
+    throw createActionError(409, 'Upload is already complete');
+  }
+  if (!Number.isInteger(start) || start !== session.offset) {
+    throw createActionError(409, 'Upload-Offset does not match the current offset');
+  }
+
+  const stagingPath = `${session.partialPath}.${crypto.randomBytes(6).toString('hex')}.part`;
+  const received = await receivePart({
+    stream,
+    stagingPath,
+    maxBytes: session.length - start,
+    checksum,
+  });
+
+  const staleLock = new Date(Date.now() - APPEND_LOCK_STALE_MS);
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: 'uploading',
+      offset: start,
+      $or: [{ lockedAt: null }, { lockedAt: { $lt: staleLock } }],
+    },
+    { $set: { lockedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    await unlinkQuietly(stagingPath);
+    throw createActionError(409, 'Another part is being written at this offset');
+  }
+
+  let updated;
+  try {
+    // Drop anything a crashed append left past the acknowledged offset
+    await fs.promises.truncate(session.partialPath, start);
+    await pipeline(
+      fs.createReadStream(stagingPath),
+      fs.createWriteStream(session.partialPath, { flags: 'a' })
+    );
+    updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id },
+      {
+        $set: {
+          offset: start + received,
+          lockedAt: null,
+          expiresAt: getExpiresAt(),
+          updatedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    await UploadSession.updateOne({ _id: session._id }, { $set: { lockedAt: null } });
+    throw error;
+  } finally {
+    await unlinkQuietly(stagingPath);
+  }
+
+  if (updated.offset === updated.length) {
+    return completeUploadSession(updated);
+  }
+  return updated;
+}
+
+// Move the finished upload into uploads/ and create its File record
+async function completeUploadSession(session) {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', offset: session.length },
+    { $set: { status: 'processing', updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return UploadSession.findById(session._id).populate('file');
+
+  const uploaded = {
+    fileName: claimed.fileName,
+    filePath: path.join(uploadsDir, claimed.fileName),
+    originalName: claimed.originalName,
+    mimeType: claimed.mimeType,
+    size: claimed.length,
+  };
+
+  try {
+    await fs.promises.rename(claimed.partialPath, uploaded.filePath);
+    const file = await saveUploadedFile(uploaded, claimed.uploadedBy);
+
+    console.log(`✅ Upload session ${claimed._id} completed as file ${file._id}`);
+    return UploadSession.findOneAndUpdate(
+      { _id: claimed._id },
+      // Kept until expiry so a client that lost the last response can still fetch the result
+      { $set: { status: 'completed', file: file._id, expiresAt: getExpiresAt(), updatedAt: new Date() } },
+      { new: true }
+    ).populate('file');
+  } catch (error) {
+    console.error(`Error completing upload session ${claimed._id}:`, error);
+    await unlinkQuietly(uploaded.filePath);
+    await unlinkQuietly(claimed.partialPath);
+    await UploadSession.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'failed', lastError: error.message, updatedAt: new Date() } }
+    );
+    throw error;
+  }
+}
+
+// Abandon an upload (tus termination). A finished upload keeps its file.
+async function deleteUploadSession(uploadId, userId) {
+  const session = await getUploadSession(uploadId, userId);
+  if (session.status === 'processing') {
+    throw createActionError(409, 'Upload is being processed');
+  }
+  if (session.status !== 'completed') {
+    await unlinkQuietly(session.partialPath);
+  }
+  await UploadSession.deleteOne({ _id: session._id });
+}
+
+async function removeExpiredUploadSessions() {
+  // Expiry is pushed back on every part, so even a 'processing' session past it is a dead one
+  const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } })
+    .select('partialPath status')
+    .lean();
+  if (!expired.length) return 0;
+
+  for (const session of expired) {
+    if (session.status !== 'completed') {
+      await unlinkQuietly(session.partialPath);
+    }
+  }
+  await UploadSession.deleteMany({ _id: { $in: expired.map((session) => session._id) } });
+  return expired.length;
+}
+
+function startUploadSessionCleanup() {
+  let running = false;
+
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      const removed = await removeExpiredUploadSessions();
+      if (removed) {
+        console.log(`🧹 Removed ${removed} expired upload session(s)`);
+      }
+    } catch (error) {
+      console.error('Error cleaning up upload sessions:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, UPLOAD_CLEANUP_INTERVAL_MS);
+  timer.unref();
+  console.log(`📤 Upload session cleanup started (every ${UPLOAD_CLEANUP_INTERVAL_MS / 1000}s)`);
+  return timer;
+}
+
+module.exports = {
+  CHECKSUM_ALGORITHMS,
+  parseUploadMetadata,
+  formatUploadSession,
+  createUploadSession,
+  getUploadSession,
+  appendUploadPart,
+  deleteUploadSession,
+  startUploadSessionCleanup,
+};